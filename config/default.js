@@ -4,100 +4,180 @@
 @desc constants used by a nubmer of other modules
 */
 
-let nodeHashLength;
-let zero;
-
-if (process.env.HASH_TYPE === 'mimc') {
-  nodeHashLength = 32;
-  if (process.env.CURVE === 'BLS12_377') {
-    zero = 0;
-  } else {
-    zero = '0x0000000000000000000000000000000000000000000000000000000000000000';
-  }
-} else {
-  nodeHashLength = 27;
-  zero = '0x000000000000000000000000000000000000000000000000000000';
-}
-
 module.exports = {
-  // general:
-  ZERO: zero,
-
   // Tree parameters. You also need to set these in the MerkleTree.sol contract.
 
+  // the hasher of any tree which doesn't choose its own (see src/hashers.js, which defines each hasher's node width and zero value):
   HASH_TYPE: process.env.HASH_TYPE,
   CURVE: process.env.CURVE,
   LEAF_HASHLENGTH: 32, // expected length of leaves' values in bytes
-  NODE_HASHLENGTH: nodeHashLength, // expected length of nodes' values up the merkle tree, in bytes
   TREE_HEIGHT: 32, // the height of the Merkle tree
 
   POLLING_FREQUENCY: 6000, // milliseconds
+  EVENT_POLLING_FREQUENCY: 6000, // milliseconds - how often to poll for new events (only if config.web3.provider = 'http')
   FILTER_GENESIS_BLOCK_NUMBER: 0, // blockNumber
+  MAX_BLOCK_RANGE: 5000, // the maximum number of blocks to request past events for, in a single call (e.g. when re-filtering for missing leaves)
 
   tolerances: {
     LAG_BEHIND_CURRENT_BLOCK: 5, // add warnings for use of tree data which lags further behind the current block (e.g. due to anonymity concerns)
   },
 
-  UPDATE_FREQUENCY: 100, // TODO: recalculate the tree every 'x' leaves - NOT USED YET
+  // the tree is recalculated in the background every UPDATE_FREQUENCY new leaves, or every UPDATE_INTERVAL milliseconds; whichever comes first (set either to 0 to disable it):
+  UPDATE_FREQUENCY: 100,
+  UPDATE_INTERVAL: 60000, // milliseconds
   BULK_WRITE_BUFFER_SIZE: 1000, // number of documents to add to a buffer before bulk-writing them to the db
+  INGESTION_MAX_ATTEMPTS: 5, // the number of times to attempt to ingest an event (if mongodb throws transient errors), before moving it to the dead-letter collection
+  INGESTION_RETRY_DELAY: 1000, // milliseconds - the delay before the first retry (it doubles with each retry)
 
   // contracts to filter:
   contracts: {
     // contract name:
     MerkleTreeControllerMiMC_BN254: {
+      // the hasher with which this contract's trees' nodes are calculated (see src/hashers.js); if omitted, HASH_TYPE and CURVE are used:
+      hashType: 'mimc',
+      curve: 'ALT_BN_254',
       events: {
         // filter for the following event names:
         NewLeaf: {
+          // the kind of event: 'leaf' (adds a single leaf), 'leaves' (adds a batch of leaves), 'record' (stores the event's parameters in a named collection; see below), or 'custom' (in which case, also provide a responseFunction: async (eventObject, args) => {...})
+          type: 'leaf',
           // filter for these event parameters:
-          parameters: ['leafIndex', 'leafValue'],
+          parameters: ['leafIndex', 'leafValue', 'root'],
+          // optionally, map the fields which the response function needs to the names (or positions) of the event's parameters; e.g. for an event NewCommitment(uint index, bytes32 commitment):
+          // mapping: { leafIndex: 'index', leafValue: 'commitment' },
         },
         NewLeaves: {
+          type: 'leaves',
           // filter for these event parameters:
-          parameters: ['minLeafIndex', 'leafValues'],
+          parameters: ['minLeafIndex', 'leafValues', 'root'],
         },
       },
     },
     MerkleTreeControllerMiMC_BLS12: {
+      hashType: 'mimc',
+      curve: 'BLS12_377',
+      events: {
+        // filter for the following event names:
+        NewLeaf: {
+          type: 'leaf',
+          // filter for these event parameters:
+          parameters: ['leafIndex', 'leafValue', 'root'],
+        },
+        NewLeaves: {
+          type: 'leaves',
+          // filter for these event parameters:
+          parameters: ['minLeafIndex', 'leafValues', 'root'],
+        },
+      },
+    },
+    MerkleTreeControllerMiMC_BW6: {
+      hashType: 'mimc',
+      curve: 'BW6_761',
+      events: {
+        // filter for the following event names:
+        NewLeaf: {
+          type: 'leaf',
+          // filter for these event parameters:
+          parameters: ['leafIndex', 'leafValue', 'root'],
+        },
+        NewLeaves: {
+          type: 'leaves',
+          // filter for these event parameters:
+          parameters: ['minLeafIndex', 'leafValues', 'root'],
+        },
+      },
+    },
+    MerkleTreeControllerPoseidon_BN254: {
+      hashType: 'poseidon',
+      curve: 'BN254',
+      events: {
+        // filter for the following event names:
+        NewLeaf: {
+          type: 'leaf',
+          // filter for these event parameters:
+          parameters: ['leafIndex', 'leafValue', 'root'],
+        },
+        NewLeaves: {
+          type: 'leaves',
+          // filter for these event parameters:
+          parameters: ['minLeafIndex', 'leafValues', 'root'],
+        },
+      },
+    },
+    MerkleTreeControllerPoseidon_BLS12: {
+      hashType: 'poseidon',
+      curve: 'BLS12_377',
       events: {
         // filter for the following event names:
         NewLeaf: {
+          type: 'leaf',
           // filter for these event parameters:
-          parameters: ['leafIndex', 'leafValue'],
+          parameters: ['leafIndex', 'leafValue', 'root'],
         },
         NewLeaves: {
+          type: 'leaves',
           // filter for these event parameters:
-          parameters: ['minLeafIndex', 'leafValues'],
+          parameters: ['minLeafIndex', 'leafValues', 'root'],
+        },
+      },
+    },
+    MerkleTreeControllerKeccak: {
+      hashType: 'keccak',
+      events: {
+        // filter for the following event names:
+        NewLeaf: {
+          type: 'leaf',
+          // filter for these event parameters:
+          parameters: ['leafIndex', 'leafValue', 'root'],
+        },
+        NewLeaves: {
+          type: 'leaves',
+          // filter for these event parameters:
+          parameters: ['minLeafIndex', 'leafValues', 'root'],
         },
       },
     },
     // contract name:
     MerkleTreeControllerSHA: {
+      hashType: 'sha',
+      confirmations: 0, // the number of blocks which must be mined on top of a leaf's block before the leaf is added to the tree (until then, it's 'pending')
       events: {
         // filter for the following event names:
         NewLeaf: {
+          type: 'leaf',
           // filter for these event parameters:
-          parameters: ['leafIndex', 'leafValue'],
+          parameters: ['leafIndex', 'leafValue', 'root'],
         },
         NewLeaves: {
+          type: 'leaves',
           // filter for these event parameters:
-          parameters: ['minLeafIndex', 'leafValues'],
+          parameters: ['minLeafIndex', 'leafValues', 'root'],
         },
+        // e.g. store the parameters of an auxiliary event in a 'nullifiers' collection (queryable via GET /records/nullifiers):
+        // Nullifier: {
+        //   type: 'record',
+        //   collection: 'nullifiers',
+        //   parameters: ['nullifier'],
+        // },
       },
     },
     // contract name:
     MultipleMerkleTreesControllerSHA: {
+      hashType: 'sha',
       treeId: {
         a: {
           treeHeight: 16,
           events: {
             // filter for the following event names:
             NewLeafA: {
+              type: 'leaf',
               // filter for these event parameters when a single leaf is added:
-              parameters: ['leafIndex', 'leafValue'],
+              parameters: ['leafIndex', 'leafValue', 'root'],
             },
             NewLeavesA: {
+              type: 'leaves',
               // filter for these event parameters when multiple leaves are added:
-              parameters: ['minLeafIndex', 'leafValues'],
+              parameters: ['minLeafIndex', 'leafValues', 'root'],
             },
           },
         },
@@ -106,12 +186,14 @@ module.exports = {
           events: {
             // filter for the following event names:
             NewLeafB: {
+              type: 'leaf',
               // filter for these event parameters:
-              parameters: ['leafIndex', 'leafValue'],
+              parameters: ['leafIndex', 'leafValue', 'root'],
             },
             NewLeavesB: {
+              type: 'leaves',
               // filter for these event parameters:
-              parameters: ['minLeafIndex', 'leafValues'],
+              parameters: ['minLeafIndex', 'leafValues', 'root'],
             },
           },
         },
@@ -154,6 +236,13 @@ module.exports = {
     host: process.env.BLOCKCHAIN_HOST,
     port: process.env.BLOCKCHAIN_PORT,
     rpcUrl: process.env.RPC_URL,
+    // 'websocket' (to subscribe to events); 'http' (to poll for events with eth_getLogs, for http-only nodes); or 'offline' (no blockchain connection at all, e.g. to import exported logs - see src/import-logs.js):
+    provider: process.env.BLOCKCHAIN_PROVIDER || 'websocket',
+    // if a websocket connection ends, we try to reconnect after a delay which doubles with each failed attempt:
+    reconnect: {
+      initialDelay: 1000, // milliseconds
+      maxDelay: 60000, // milliseconds
+    },
     options: {
       defaultAccount: '0x0',
       defaultBlock: '0', // e.g. the genesis block our blockchain
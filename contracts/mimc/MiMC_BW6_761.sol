@@ -149,7 +149,9 @@ contract MiMC_BW6_761 {
         return hash_bw6_761(in_msgs, [uint(0), uint(0)]);
     }
     
-    function mimcHash( uint[] memory in_msgs ) public pure returns (uint) {
-      return mimc_bls12_377(in_msgs);
+    function mimcHash(uint[2][] memory in_msgs)
+        public view returns (uint[2] memory)
+    {
+        return mimc_bw6_761(in_msgs);
     }
 }
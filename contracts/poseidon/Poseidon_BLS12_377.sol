@@ -0,0 +1,228 @@
+pragma solidity ^0.5.8;
+
+/**
+ * Implements the Poseidon hash function over the BLS12-377 scalar field, with a width of 3 (so that it hashes pairs of nodes).
+ *
+ * See: https://eprint.iacr.org/2019/458.pdf
+ *
+ * Parameters: an x^11 s-box, 8 full rounds and 38 partial rounds. The round constants and the MDS matrix are generated with the Grain LFSR, as the reference implementation's generate_parameters_grain.sage does (and as src/poseidon.js does).
+ */
+contract Poseidon_BLS12_377 {
+    uint256 constant SCALAR_FIELD = 0x12ab655e9a2ca55660b44d1e5c37b00159aa76fed00000010a11800000000001;
+
+    uint256 constant FULL_ROUNDS = 8;
+    uint256 constant PARTIAL_ROUNDS = 38;
+
+    uint256 constant M00 = 0x10deb4bd43a6f2c3e4f85c2c756ef806466708f5cc8e685fc1291d96053f8a55;
+    uint256 constant M01 = 0x0843e0bbe354fdbc5e72045082d73edc3f4e5178e4e06a370caecacb7ea309b2;
+    uint256 constant M02 = 0x046b6e1e284a7f1d4df74c05d839bce048ce069dafd27c7aac7c88fb9710d0ba;
+    uint256 constant M10 = 0x016699e68f24ae2ef6fac1425ef1fbefbb55167013803f45b0eea7c7c76b709b;
+    uint256 constant M11 = 0x09f6e8cb8ed8fccc868a44ef96e2ff3ff5a535e647c96ff4caf4b2adce85044b;
+    uint256 constant M12 = 0x0bd6de5e892d8f80730416132a72e935e8c82f41a6d03d3880aae8d132ee7bf9;
+    uint256 constant M20 = 0x05f9ed80d60e61cddb1d71dc32d7c7b1c0be66d54476334ee898604d573c0c2a;
+    uint256 constant M21 = 0x0a23ef8dcf74bf95499e7a898b55514a78b7a5cf83fd1f12db2ef82c24c816ac;
+    uint256 constant M22 = 0x124f60d62e5eb3ad2fc2396f69a4729bba476565d2478b59d5d6d8c06668d5b9;
+
+    function roundConstants() internal pure returns (uint256[138] memory) {
+        return [
+            uint256(0x026ff3281d4f760e05fea6f4549d5b5bdc7619a1e16ab73901af71ad462193af),
+            0x0823494dc27e50cc8281c3ed73a53ed7070df2ea46e5e0956222da83b73614e6,
+            0x04353178548a2c7ee91ace501f566c7b4dd0fa877e4647e0d933d2a9368cf461,
+            0x0807cdd9eff0f2b66cbcbb47f2cb03fbfb1ea084e875a9796086450b0556afc0,
+            0x0a7e3497ec670e465d0601344c12cb64dd0ffe71022639e1c584f794b89b3e5c,
+            0x06dde607ca603adb6f15b6ee56e782a134a8d9af1f4fd3b4a1827420b0299519,
+            0x0dfd1b30918a8335ecfb81156d42a3a1170a9835208768d6f6efe31e1edcadb8,
+            0x06d84ee6f26d973acc1239825e75dcd0b7edbfc306ee72117854b4c59a2c9b58,
+            0x0c1ddd01a7594a1ce75290e290221cfbe19b4cadfd0ba3e1c2490f5c731b1ae3,
+            0x056fda33a5f22f31b89b1b39abbd782ac2f0a6437391bac85cf0e4d20d82253e,
+            0x0d76849fd65c2a595f7ffa21cfff44feec376c2cf0c7132465e5d76d1ebf9a82,
+            0x07cf6886f2834f262f503cfb65071c7ea165d4ebf9f272a035f146ceb611bea3,
+            0x103da6acf5d41e0ebc11521f8ecd8577fd1f62a675cb701ab956b9b29cfb19c2,
+            0x099e88b716f7826ba8ea0014b8f9bca4e0c3e9fe776dddf1ca3f6e9363676b87,
+            0x125184490f9f5985232a6dd21ea0f580989f59a48da5ff3b114523cedec49b77,
+            0x06a3d82607533f6ab77e0a29710f9a5f551987e7b86ffa402539b41456c5d173,
+            0x106bbbf727c340969dca72e6fe723b15c917ec3aebe26971689be680c847888a,
+            0x11d63ba4728f0f780ad638d806e9790f8d559d3c8a7d8b4c79f847cf4750ba00,
+            0x1243e84ad4aa93d312915663b38c65118899ab836e99daa58bd80ca6257507d8,
+            0x10feec64e29d76795b5b80295715d0e67a61eaee74e2e2666792aae87aeb7467,
+            0x0a573c1b45fab81a0a021f9bfd88b2ae2be9e24648edb1162c43a3cc5da6a503,
+            0x031811d1fc5452b443d7e67a5466ca5a4c50a6eb7f802f87f83cb66078cc3387,
+            0x0aa27b2cb13d77478b830c974ecfdf77261b7294db30d03dd78fcb06c5a8aff6,
+            0x0dd01b0059af2b03ea1b088596bf2ed6f30efd579b14fc7e7195610697efba0f,
+            0x0fcbce5db3c82cb0fbb2308baa7e6cc5748010feb1fcc4120cba90e0b3be21a8,
+            0x100e0a175343fb194d41f470b063f6d800c44a2a5f6001c18ec58b2e16911a23,
+            0x0150a9429a28d1c1086f4363c6be2a311f3814a8d064ed4fe32bfada4706c680,
+            0x0a7184cdcf1e1643b3028b0205815982d3566474ec10f234cd7146853d7c6145,
+            0x06be7d8b29e06e53ddd07d1ac9a5d43e39bf62979cf99573d8c3d67e51d7720a,
+            0x0166223f1f0c1402d03808355a63b88ca4fd7addb2757e2fbce34ffc46dbd464,
+            0x02633f2144f030ba10ace3451bd9c44858070deccbccf4ae669a6ce021fad0be,
+            0x0c6439b3082692992546ac26dff9dd8a9a688b7394ecc601fee76a0a96d546da,
+            0x07cbe68aa7ababb62a9f9775ca27761ad21b484f441eb96bf99b080d6eb3f990,
+            0x0313d21646cfc10c6a80272da5640efd2f8745e68758aae8e8ae10cf9d1b6d63,
+            0x089101ce5101bf47fdd076ed6bf80902ea3efd41ace8ddd509bf9c63122d26f6,
+            0x0279c7ad99f0356682a0c99336faed4c70877b20f8463f68f0cd4d163a6d3850,
+            0x03651a81a47163bcfd9af914550937bb1b9cbd2e9c62441f0df8512fbe82dd06,
+            0x06c30a8681ab0ff4c1527adbe30bb8cf3b6aef56997a2e4eef8b8416055eb759,
+            0x07c822553597e3d74e7b196a45bd8326171d6b8768b45887d52d50840eff71f5,
+            0x115a950a9b429e5722002353ade43a221e85f6dd7bb1f3e37a1e2759530e7bd6,
+            0x0d06894f8a6c6ff4f0fddf302709cf1320cb0fc8b9577f20587a3001fe60ea54,
+            0x082f99ad1ad4d9dddc5368fe1c5c2b0dbc890467197bd28582f2db50a36c963f,
+            0x0b93f7201e108ad9dfd8639abd0c38a47309777cfca3649b1e6b1df9c1e55f99,
+            0x01fe253c86140becba61e2922c5e6f15ef0b26f860f9c2500859c374d3de08b3,
+            0x00d986b86d14cf306faecb17c552571d8ab514c26961fafbb03373ff859dbc57,
+            0x070d8f2f1569761ab7c9e9f46befa00eed254cf0aa7a679f30f1bd2e34e95604,
+            0x10ec1dd296bbdbf6e6231a8d6ceb408f758ffc795af28a6da426b230fb00fb15,
+            0x03cc27229d80152ad20c1996dee91eee1f85843acdf1a4793471f5b4bb4d4875,
+            0x108133899f3155b6e001490710d878e19fffb1fe5ebe1fd654e07ba1b2f2df24,
+            0x02eb7fa0cddc790e411789e5bb042a089785845d8edf05a435df774708659c2b,
+            0x129a49cac252151d24d987d5d83b9b4336acacf2a876b65086eeb02381f3ecf0,
+            0x0e7c0ee51be22fa9e35f1ccec9f77b4283f03dd933b7b6626382108443cb39a3,
+            0x0360d59200468a8c4e687d941e547d87c5643972acc0cc44fb27ae7acd6d1aca,
+            0x033b38381696a8e91071631ac41869dec168ca45edb11867e8ddaf1b0fbbed43,
+            0x10a9531320b7a97887cb17dd0288e21c04faa44abb801bcb5d67a2ebc5ba2c91,
+            0x06866df4a96d2dcbe7120cf623caf19cf68ba92a5db6a27c001e1335088c938b,
+            0x02a9b3062b4097ec6a087e40a6532e49c0c25e6d6e9f63e77e0eae5c98f4590c,
+            0x083ae3a245d9d84552d3027dc5b2197f1de912ca40eae2dda4ecdba666e2c758,
+            0x0d417f38b6ecb4b0468c906359ca941c96e73b36d59ceafa00ae0e61a242bb5f,
+            0x0f379303cf48c490a37990ceefc9d173f67bd7e972264eb9de512304bc561964,
+            0x0f1c21ec9ec22ad967b47c3712001780af4eb9edea41cd016f52c5085ec3b9fc,
+            0x10a342e5bad520b6b76ee72dbfa7ba263a70f93ecc14ecbe06bd98256ce006a6,
+            0x000e64d49d2df2ab3b82903e7829fd4ab9b5abea4a9b1d6915199ae7557b391d,
+            0x0105c609edc6c49cbf92555832b34596e1a7033ba72e7d53a3452a9890aecf3e,
+            0x119883ecf6022b23ec4420228c975e12c44dbb5495181918df23fc5d6197695d,
+            0x0ffbe380fc94cf728fa8b5374d561ca1c30e6250e6996e198b482239c9788c21,
+            0x0e4871475f6856e4dd380f4680826b39fd059f299259c34b1c257d73dacdd51e,
+            0x121e4d2ff749105451568941cc37ef06878e06729c79ea00bf47ab7c1acebf0b,
+            0x1273fa818d8bf60d6f5a3bf258f1a0ca2595a3be0ebd157249f8151843d5d2ef,
+            0x0fc6e8e50be06eca76c1895ace2cee5f91ab7ec0b9e63ef1a97d4a94f49cf878,
+            0x0bc78e04d39aade193f577bb24b0d27f8be8550ac3763761fc9512ed61716493,
+            0x121e326a676a3af5df7fdabc1224538a33561991be4025f361bf44f6e97c207d,
+            0x10f8f4b205ec3e0d94eb3446078ef934df7794e870b1fcf2f914c8f79d75c9f5,
+            0x1084a49cca5f6501a560c99b5807576179d35c48ed6181388b6506be41ae0dfd,
+            0x08253efdfb2cd490b11a67ec59bcc04168b95d0c346d3f6fdd1c48a877c30eba,
+            0x07d0d982f18d247f3a4f7e6697f7098fa0084b4edf27cab10b5a6a4dd552887a,
+            0x10413cdf2f7638eede9a309e135f9f046e3321c5bda50e335f28fca33de7d5e9,
+            0x0b5e40e42235986bf834caf1152244c8490142ba6986db8e9c1c519d55bb55c5,
+            0x0b6a8d2a9e151459867191d3ef92543ba71e2bcab7813ef824182dcc9e76e467,
+            0x0bc9ac94a8761416424d04ba64d46caf23e55cbbcf3ff202a266e1c913351823,
+            0x0396d9b4be131e60be67b7c143ad5ae72fde9ca2aa11399907189f49166c552b,
+            0x1148e1b3d92a77a90e58f90a304edd0d643736f4a2f5b617f8ad56c0cbd2c7b4,
+            0x0f80c540c4e6843f6fbaac92da4e94c687fdd583ce52df782b2f959dec596a16,
+            0x0d0da62eb4b0d26c1e0591ef25958d31ed35c57c39a1263524910ab3983f4397,
+            0x069300eeab7a9c7bcf04ac10aad7d3dbf47bca84a8c53f951ec79199fd1ae775,
+            0x032dfa97d22b982b5099ebeee5249e40b902c07b4ebe9d24bee591c4864b146d,
+            0x08183ec19777bdc2801f6cd3fe26d1554631ea4ca616316fe22d89e0855acfbb,
+            0x01980de47535008054655dd18e89c29df1f32b5cecb85ab49b7233c4b5efdf63,
+            0x02f1c23dd2cabeae9631cfd4ed2a51530406eceb1e48b793179ae8ba292fdff6,
+            0x066a1135196bb77abbed3ef9ae06deda2e63c1a0a7e16f2274142c8e126a4777,
+            0x0bcc011964f4553b70bf7b180217aa1f1607d93d722b52787ae5fbe5a867bf52,
+            0x05673108c947fef3dd594cb517e10bc177e03ab78108e6b2858a527e9d8110f9,
+            0x0e95066d28207a7ad5e25fadc05c33874baa9c5d79dd4cc6341ed824b45c7151,
+            0x039657535b5b87af849e2314c5081fe0c8156009f894ea2fe5d8ca5e0b3d4cd9,
+            0x085130e39de2f71e59a285fbf4dd0c1766c3da56f8005779b2af9493fcbd3bcb,
+            0x0a7326492510403b2e4c48fd8606bda2485c5583ad71fab70f8572a73eadd67e,
+            0x0503d1dbd52143c43cf43ce18b2c05f3ee34505495c73cf2659a40ff5db02c73,
+            0x029a01038ef1c7e04970050cfd303852666abb07c2e10bf8ae3940f8a6322646,
+            0x11a6675823035edea9cb77161f0d41fa037103c793d1d741d6b637d83b7ef1fb,
+            0x0da82ddb36beb87cb86856c1e9779244ba1c7262cf584d3034ec70a2d510f8a1,
+            0x1241d6cf53ea6c4ff326615fe2c4d8550f0889c469c1e86536b53851c785a460,
+            0x024cc1a8d96cee305839a6970b442e0d8d53b8cb77a9f9cbfe2ee535cd48754f,
+            0x069b2facf7b8002a795c572e4da7fad3d8d97dfba5cefa2a17697cdfa7ecbf88,
+            0x022339e84cd77ba3d146305f71b7f81bcfa65d8e679ada9f601fb2772d4735cd,
+            0x09818b0af654b7b6d6bb78e589f0a104173db2f1e16181c9bc01b6206e202869,
+            0x01c349931aae4364ba7f165ee20beab54b5970af4f1bf314d318b18710d586fe,
+            0x128983713b4876a8d2f088dbc828bf398fb04ffb2763c442d1c90246a9b8cf15,
+            0x0b96e6b328067fd3e49aa82500a10aa1ba3b86edeac224130a195038d581c1dc,
+            0x06b1b538540d1a94e7f8d91be65f69c2f73187b9ad29401f4b18b72b68d22e02,
+            0x003bcdbdd85cec4afad570894cdc7fc448ba02778ee184f2c67493d8add97ff0,
+            0x020e47ddc8a7ee626559add2942f145ae2cbc110c32aa4c384aaa8afd43b49da,
+            0x082840612c0c33f826649b82e8e1f50037e6f7fbbaedbcf40b0f54943fb9d5da,
+            0x03b34094cd273f970e7ecb88f108ff26b7fd8b9eb84c86c2245bd377ac6b315e,
+            0x00306d6a1a33927d80ef0b4de1eb03de80f69aeabccbd8d3d4305d2c9cfee9e6,
+            0x0fb8437482c29d69b2d7a103f23445a6464650deb3ddae342e9c34b138e09c31,
+            0x0458474b3bf2502b1a2226c2be707f9c79a9bb8468ec13f1800224b513ca56e5,
+            0x00c7849a0fadcda9967d1f573cacb797748af5e728ebcfa6cfb9d6ea6e14fdfb,
+            0x0e3123cb541a04700877975c087e1770eaf595327e16a72ab534a6ef86f5b80e,
+            0x0283113f0e9c0462a02878419ceb53d9c95f3b38f72f94b3a262f01819eed14b,
+            0x05bf821cab3b938cb0bda4ee440878cd5b5566f34e2f84f5cedcef6dd206bac7,
+            0x1065f84e00bf9021aef30eed5bad553eccd8367eb528da557093b1c65ad4ee46,
+            0x0bb831e9b2ca9c84789b6347a5ec623c6b7c0b45444aa1d61184cb029ea3e74f,
+            0x05c0ebe2486a011562b3f9810c6bcc18504ddbc1387399f3d27e113a12d72fa3,
+            0x07678225e923ecabcb9c259a56f1c67d00a672a11d809d5847f0fd83494a2491,
+            0x107370a4bbe6f0b178f5a68701791d33ab4be6708818046afd83ef2e3ff34ae5,
+            0x0f23b7473ff1366e1287557806ff12d5eccfafc85545bebbe42d3e3a106b3296,
+            0x04516cd1f076292b6c49207273bc4cd973fd6682eb3cc7a5fb24fd11474eec30,
+            0x0fbd8c43ad0660df6e3c88e07df104a56211f6fd05b309ff8ecc0c609ae719a3,
+            0x04295d21a5b3edaff733c4e2d39f0d33b935b5c2ddfe3dcc4ab7ba46caa38eed,
+            0x0dd006350e1dae3e319c6418337da802b29ea58a153b2b83992e45da25589e78,
+            0x123913c19e62cd72025426a7e63eae8690487e90e2992d41a9c5f2bf4075dfd5,
+            0x0f54aeec9cb92ac65f7545238832dca785c3e61be7c498a4f9134473f1e68bc8,
+            0x02934d3bcd3d3c446d1b927759ea5489a64975cc09403ec240cbb2a62dd72628,
+            0x09c82c5abbfd939605d7814da0463ce56083fe241def5cea1224eda322fbb7d7,
+            0x0829dcd3268627605867c341e1b2ef74908c873a22d63cdd516d83d400be694b,
+            0x1224814d04a6959242b42f88f523801ed591bd7fccfe7c75319bf5f64c3b9d52,
+            0x10f3de9518c6a49946e5cfcffeb956e72f2e99a11a4b0759513c31e1ab020a3e,
+            0x11ee2a99cc8ceceb40a2b44edb55ba5fa870e6228ef0637aabebfb58f3f3df72
+        ];
+    }
+
+    function sbox(uint256 x) internal pure returns (uint256) {
+        uint256 x2 = mulmod(x, x, SCALAR_FIELD);
+        uint256 x4 = mulmod(x2, x2, SCALAR_FIELD);
+        uint256 x8 = mulmod(x4, x4, SCALAR_FIELD);
+        return mulmod(mulmod(x8, x2, SCALAR_FIELD), x, SCALAR_FIELD); // x^11
+    }
+
+    /**
+     * state = MDS * state
+     */
+    function mix(uint256[3] memory state) internal pure returns (uint256[3] memory) {
+        return [
+            addmod(
+                addmod(mulmod(M00, state[0], SCALAR_FIELD), mulmod(M01, state[1], SCALAR_FIELD), SCALAR_FIELD),
+                mulmod(M02, state[2], SCALAR_FIELD),
+                SCALAR_FIELD
+            ),
+            addmod(
+                addmod(mulmod(M10, state[0], SCALAR_FIELD), mulmod(M11, state[1], SCALAR_FIELD), SCALAR_FIELD),
+                mulmod(M12, state[2], SCALAR_FIELD),
+                SCALAR_FIELD
+            ),
+            addmod(
+                addmod(mulmod(M20, state[0], SCALAR_FIELD), mulmod(M21, state[1], SCALAR_FIELD), SCALAR_FIELD),
+                mulmod(M22, state[2], SCALAR_FIELD),
+                SCALAR_FIELD
+            )
+        ];
+    }
+
+    /**
+     * The state is initialised to [0, left, right], and the hash is the first element of the state after the permutation.
+     */
+    function poseidon(uint256[2] memory inputs) public pure returns (uint256) {
+        uint256[138] memory c = roundConstants();
+        uint256[3] memory state = [uint256(0), inputs[0] % SCALAR_FIELD, inputs[1] % SCALAR_FIELD];
+
+        for (uint256 round = 0; round < FULL_ROUNDS + PARTIAL_ROUNDS; round++) {
+            for (uint256 i = 0; i < 3; i++) {
+                state[i] = addmod(state[i], c[round * 3 + i], SCALAR_FIELD);
+            }
+            if (round < FULL_ROUNDS / 2 || round >= FULL_ROUNDS / 2 + PARTIAL_ROUNDS) {
+                // a full round:
+                for (uint256 i = 0; i < 3; i++) {
+                    state[i] = sbox(state[i]);
+                }
+            } else {
+                // a partial round:
+                state[0] = sbox(state[0]);
+            }
+            state = mix(state);
+        }
+
+        return state[0];
+    }
+
+    function poseidonHash2(bytes32[2] memory in_msgs) public pure returns (bytes32) {
+        return bytes32(poseidon([uint256(in_msgs[0]), uint256(in_msgs[1])]));
+    }
+}
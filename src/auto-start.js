@@ -1,7 +1,11 @@
-import axios from 'axios';
 import config from 'config';
+import adminDbConnection from './db/common/adminDbConnection';
+import DB from './db/mongodb/db';
+import filterRegistry from './filter-registry';
 import logger from './logger';
 import uw from './utils-web3';
+
+const { admin } = config.get('mongo');
 /**
 function to automatically start the Timber instance.  This is useful if you are
 starting it up in an already-established blockchain environment.
@@ -13,7 +17,6 @@ const autoStart = async () => {
     const data = {
       contractName,
       contractAddress: config.contracts[contractName].address,
-      treeId: config.contracts[contractName].treeId,
     };
     // if we haven't been given a contractAddress, it's best to make sure that
     // Timber has the ability to infer one. Otherwise Timber will fall over. If
@@ -35,16 +38,18 @@ const autoStart = async () => {
         await new Promise((resolve) => setTimeout(resolve, 3000));
       }
     }
-    // Now that we are fairly sure calling start will work, we can go ahead.
-    try {
-      logger.debug(
-        `Calling /start for Timber, with contractName '${contractName}' and url localhost`,
-      );
-      axios.post('http://localhost/start', data, {
-        timeout: 3600000,
-      });
-    } catch (error) {
-      throw new Error(error);
+    // Now that we are fairly sure starting will work, we can go ahead (a contract with many trees needs a filter per tree):
+    const treeIds = config.contracts[contractName].treeId
+      ? Object.keys(config.contracts[contractName].treeId)
+      : [undefined];
+    for (const treeId of treeIds) {
+      logger.debug(`Starting a filter for contractName '${contractName}', treeId '${treeId}'`);
+      const db = new DB(adminDbConnection, admin, contractName, treeId);
+      // we don't await this, so that each filter can start concurrently:
+      filterRegistry
+        .startFilter(db, contractName, treeId, data.contractAddress)
+        .then((message) => logger.info(message))
+        .catch((err) => logger.error(err));
     }
   }
 };
@@ -0,0 +1,98 @@
+/**
+@module auto-update.js
+@desc Recalculates each filtered tree in the background: every config.UPDATE_FREQUENCY new leaves, or every config.UPDATE_INTERVAL milliseconds; whichever comes first. This keeps the tree's nodes (and so its siblingPaths and root) fresh, without clients having to call /update first.
+*/
+
+import config from 'config';
+import filterController from './filter-controller';
+import merkleTreeController from './merkle-tree-controller';
+import logger from './logger';
+
+const trees = {}; // keyed by filterKey: { db, newLeafCount, timer, updating }
+
+/**
+(Re)start the countdown to a tree's next timed update.
+*/
+function scheduleUpdate(tree) {
+  clearTimeout(tree.timer);
+  if (!config.UPDATE_INTERVAL) return;
+  tree.timer = setTimeout(updateTree, config.UPDATE_INTERVAL, tree); // eslint-disable-line no-param-reassign, no-use-before-define
+}
+
+/**
+Update a tree in the background.
+*/
+async function updateTree(tree) {
+  const filterKey = filterController.getFilterKey(
+    tree.db.contractName,
+    tree.db.treeId,
+    tree.db.deployment,
+  );
+  if (trees[filterKey] !== tree || tree.updating) return; // the tree's auto-updates have been stopped, or an update is already underway
+
+  /* eslint-disable no-param-reassign */
+  tree.updating = true;
+  tree.newLeafCount = 0; // leaves which arrive during this update count towards the next one
+  clearTimeout(tree.timer);
+  try {
+    logger.info(`Updating the tree for ${filterKey} in the background...`);
+    await merkleTreeController.update(tree.db);
+  } catch (err) {
+    logger.error(`Failed to update the tree for ${filterKey} in the background: ${err}`);
+  } finally {
+    tree.updating = false;
+    if (trees[filterKey] === tree) scheduleUpdate(tree);
+  }
+  /* eslint-enable no-param-reassign */
+}
+
+/**
+Count the new leaves which have been added to a tree, and update the tree once there are config.UPDATE_FREQUENCY of them.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {number} leafCount - the number of new leaves
+*/
+function countNewLeaves(db, leafCount) {
+  const tree = trees[filterController.getFilterKey(db.contractName, db.treeId, db.deployment)];
+  if (!tree) return;
+
+  tree.newLeafCount += leafCount;
+  if (config.UPDATE_FREQUENCY && tree.newLeafCount >= config.UPDATE_FREQUENCY) updateTree(tree); // we don't await this
+}
+
+/**
+Start updating a tree in the background.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+*/
+function start(db) {
+  const filterKey = filterController.getFilterKey(db.contractName, db.treeId, db.deployment);
+  if (!config.UPDATE_FREQUENCY && !config.UPDATE_INTERVAL) return;
+  if (trees[filterKey]) return;
+
+  logger.info(
+    `The tree for ${filterKey} will be updated every ${config.UPDATE_FREQUENCY} leaves or every ${config.UPDATE_INTERVAL}ms`,
+  );
+  trees[filterKey] = { db, newLeafCount: 0, timer: undefined, updating: false };
+  scheduleUpdate(trees[filterKey]);
+}
+
+/**
+Stop updating a tree in the background.
+@param {string} contractName
+@param {string} treeId - optional
+@param {object} deployment - optional - { address, chainId }
+*/
+function stop(contractName, treeId, deployment) {
+  const filterKey = filterController.getFilterKey(contractName, treeId, deployment);
+  const tree = trees[filterKey];
+  if (!tree) return;
+
+  clearTimeout(tree.timer);
+  delete trees[filterKey];
+}
+
+filterController.onNewLeaves(countNewLeaves);
+
+export default {
+  start,
+  stop,
+};
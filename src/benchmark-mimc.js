@@ -0,0 +1,108 @@
+/**
+@module benchmark-mimc.js
+@desc Benchmarks the MiMC hash of a pair of nodes, over each curve: the original implementation (which re-hashes the round constants with keccak256 in every round of every hash, as the contracts do) against utils.mimcHashWithCurve (which generates them once per curve). It also checks that both give exactly the same hashes.
+
+Usage (from the /app directory):
+
+npx babel-node ./src/benchmark-mimc.js [iterations]
+*/
+
+import crypto from 'crypto';
+import createKeccakHash from 'keccak';
+import utils from './utils';
+import logger from './logger';
+
+const { mimcCurves } = utils;
+
+const iterations = Number(process.argv[2]) || 200;
+
+function keccak256Hash(item) {
+  return `0x${createKeccakHash('keccak256').update(utils.strip0x(item), 'hex').digest('hex')}`;
+}
+
+// The original implementation (before the round constants were precomputed), for comparison:
+function addMod(addMe, m) {
+  return addMe.reduce((e, acc) => (e + acc) % m, BigInt(0));
+}
+
+function powerMod(base, exponent, m) {
+  if (m === BigInt(1)) return BigInt(0);
+  let result = BigInt(1);
+  let b = base % m;
+  let e = exponent;
+  while (e > BigInt(0)) {
+    if (e % BigInt(2) === BigInt(1)) result = (result * b) % m;
+    e >>= BigInt(1);
+    b = (b * b) % m;
+  }
+  return result;
+}
+
+function mimcpe(x, k, seed, roundCount, exponent, m) {
+  let xx = x;
+  let t;
+  let c = seed;
+  for (let i = 0; i < roundCount; i++) {
+    c = keccak256Hash(c);
+    t = addMod([xx, BigInt(c), k], m);
+    xx = powerMod(t, BigInt(exponent), m);
+  }
+  return addMod([xx, k], m);
+}
+
+function mimcpemp(x, k, seed, roundCount, exponent, m) {
+  let r = k;
+  for (let i = 0; i < x.length; i++) {
+    r = (r + (x[i] % m) + mimcpe(x[i], r, seed, roundCount, exponent, m)) % m;
+  }
+  return r;
+}
+
+function originalMimcHash(curve, ...msgs) {
+  const { rounds, exponent, modulus, byteLength } = mimcCurves[curve];
+  return `0x${mimcpemp(
+    msgs.map(BigInt),
+    BigInt(0),
+    keccak256Hash('0x6d696d63'),
+    rounds,
+    exponent,
+    modulus,
+  )
+    .toString(16)
+    .padStart(byteLength * 2, '0')}`;
+}
+
+/**
+@returns {number} hashes per second
+*/
+function benchmark(hash, inputs) {
+  const start = process.hrtime.bigint();
+  inputs.forEach(([left, right]) => hash(left, right));
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+  return inputs.length / seconds;
+}
+
+Object.keys(mimcCurves).forEach((curve) => {
+  const { byteLength } = mimcCurves[curve];
+  const inputs = Array.from({ length: iterations }, () => [
+    `0x${crypto.randomBytes(byteLength).toString('hex')}`,
+    `0x${crypto.randomBytes(byteLength).toString('hex')}`,
+  ]);
+
+  inputs.forEach(([left, right]) => {
+    const expected = originalMimcHash(curve, left, right);
+    const actual = utils.mimcHashWithCurve(curve, left, right);
+    if (actual !== expected)
+      throw new Error(`${curve}: mimcHash(${left}, ${right}) = ${actual}; expected ${expected}`);
+  });
+
+  const before = benchmark((...items) => originalMimcHash(curve, ...items), inputs);
+  const after = benchmark((...items) => utils.mimcHashWithCurve(curve, ...items), inputs);
+  logger.info(
+    `${curve.padEnd(10)} before: ${before
+      .toFixed(0)
+      .padStart(6)} hashes/sec, after: ${after.toFixed(0).padStart(6)} hashes/sec (x${(
+      after / before
+    ).toFixed(1)})`,
+  );
+});
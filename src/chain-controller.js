@@ -0,0 +1,62 @@
+/**
+@module chain-controller.js
+@desc Guards each tree against mixing in leaves from a different chain (e.g. if the service is restarted, or reconnects, with a different RPC_URL). The chain's id and genesis block hash are recorded in the tree's metadata when the tree is first started, and every later start (and reconnect) must be to the same chain.
+*/
+
+import utilsWeb3 from './utils-web3';
+import Web3 from './web3';
+import logger from './logger';
+
+import { MetadataService } from './db/service';
+
+/**
+Throw a 'ChainMismatchError'.
+*/
+function chainMismatchError(message) {
+  logger.error(message);
+  const err = new Error(message);
+  err.name = 'ChainMismatchError';
+  err.status = 409;
+  throw err;
+}
+
+/**
+Check that we're connected to the chain which the tree's leaves were filtered from. If the tree hasn't been started before, the chain is recorded in the tree's metadata.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@returns {object} the tree's chain: { chainId, genesisBlockHash }
+*/
+async function checkChain(db) {
+  logger.debug('src/chain-controller checkChain()');
+  if (Web3.isOffline()) return undefined; // there's no chain to check
+
+  const chainId = await utilsWeb3.getChainId();
+  const genesisBlockHash = await utilsWeb3.getGenesisBlockHash();
+
+  const { chainId: selectedChainId } = db.deployment || {};
+  if (selectedChainId !== undefined && selectedChainId !== chainId)
+    chainMismatchError(
+      `The tree's deployment is on chain ${selectedChainId}, but we're connected to chain ${chainId}. Refusing to continue; please check the blockchain provider's url.`,
+    );
+
+  const metadataService = new MetadataService(db);
+  const { chain } = await metadataService.getChain();
+
+  if (!chain || chain.chainId === undefined) {
+    logger.info(
+      `Recording the tree's chain (chainId ${chainId}, genesis block ${genesisBlockHash}) in its metadata...`,
+    );
+    await metadataService.insertChain({ chain: { chainId, genesisBlockHash } });
+    return { chainId, genesisBlockHash };
+  }
+
+  if (chain.chainId !== chainId || chain.genesisBlockHash !== genesisBlockHash)
+    chainMismatchError(
+      `The tree's leaves were filtered from chain ${chain.chainId} (genesis block ${chain.genesisBlockHash}), but we're connected to chain ${chainId} (genesis block ${genesisBlockHash}). Refusing to mix leaves from different chains; please check the blockchain provider's url (or use a different database for this chain).`,
+    );
+
+  return chain;
+}
+
+export default {
+  checkChain,
+};
@@ -33,32 +33,39 @@ const getContractInstancePollingFunction = async (args) => {
   }
 };
 
-async function getContractInstanceFromRemote(db, contractName) {
+async function getContractInstanceFromRemote(db, contractName, contractAddress) {
   const metadataService = new MetadataService(db);
 
   // retrieve the contract abi data necessary to generate a web3 instance of the contract, and create that contractInstance:
   // we need to poll, in case the service isn't 'up' yet:
-  const contractInstance = await utilsPoll.poll(
+  let contractInstance = await utilsPoll.poll(
     getContractInstancePollingFunction,
     config.POLLING_FREQUENCY,
     { contractName },
   );
 
+  // the deployer only knows about one deployment of each contract; a tree which follows a particular deployment (or which has been migrated to a new contract) uses the deployer's abi at that address instead:
+  if (contractAddress !== undefined)
+    contractInstance = new web3.eth.Contract(
+      contractInstance.options.jsonInterface,
+      contractAddress,
+    );
+
   // retrieve the address of the contract we wish to filter events for:
-  let { contractAddress } = (await metadataService.getContractAddress()) || {};
+  let { contractAddress: storedContractAddress } =
+    (await metadataService.getContractAddress()) || {};
 
-  if (contractAddress === undefined) {
+  if (storedContractAddress === undefined) {
     // if no contractAddress in the mongodb, add it to the db:
-    contractAddress = contractInstance._address; // eslint-disable-line no-underscore-dangle
+    storedContractAddress = contractInstance.options.address;
     logger.info(
-      `contractAddress ${contractAddress} not yet added to the merkle-tree's metadata db. Adding it now...`,
+      `contractAddress ${storedContractAddress} not yet added to the merkle-tree's metadata db. Adding it now...`,
     );
-    await metadataService.insertContractAddress({ contractAddress });
-  } else if (contractAddress !== contractInstance._address) {
-    // eslint-disable-line no-underscore-dangle, prettier/prettier
+    await metadataService.insertContractAddress({ contractAddress: storedContractAddress });
+  } else if (storedContractAddress !== contractInstance.options.address) {
     // here, we've noticed that the stored mongodb contractAddress !== the address retrieved from the external microservice.
     throw new Error(
-      `Unexpected mismatch between the stored mongodb contractAddress (${contractAddress}), and the address retrieved from the external microservice (${contractInstance._address}).`, // eslint-disable-line no-underscore-dangle, prettier/prettier
+      `Unexpected mismatch between the stored mongodb contractAddress (${storedContractAddress}), and the address retrieved from the external microservice (${contractInstance.options.address}). If the tree should continue on the new contract, migrate it first (POST /migrate).`,
     );
   }
 
@@ -76,8 +83,9 @@ async function getContractInstanceFromMongoDB(db, contractName) {
 
   const metadataService = new MetadataService(db);
 
-  // retrieve the address of the contract we wish to filter events for:
-  const { contractAddress } = (await metadataService.getContractAddress()) || {};
+  // retrieve the address of the contract we wish to filter events for (a tree which selects a particular deployment can instead rely on the selected address):
+  const { contractAddress = db.deployment.address } =
+    (await metadataService.getContractAddress()) || {};
 
   const { contractInterface } = (await metadataService.getContractInterface()) || {};
 
@@ -140,13 +148,20 @@ async function instantiateContract(db, contractName, contractAddress) {
   logger.debug(
     `src/contract-controller instantiateContract(db, contractName=${contractName}, contractAddress=${contractAddress})`,
   );
+  // unless we're told otherwise: a tree which has been migrated follows its latest contract; and a tree which selects one of several deployments of the contract follows that deployment:
+  if (contractAddress === undefined) {
+    const [latest] = (await getContractAddressHistory(db)).slice(-1); // eslint-disable-line no-use-before-define
+    const migrated = latest !== undefined && latest.fromBlock > 0;
+    contractAddress = migrated ? latest.contractAddress : db.deployment.address; // eslint-disable-line no-param-reassign
+  }
+
   let contractInstance;
   // different logic is needed depending on where the contract's interface json is stored:
   switch (config.contractOrigin) {
     case 'remote':
       // 'remote' - get a (truffle-compiled) contract interface json, and the deployed contract address, from an external deployment microservice. A web3 contract instance is created from these components and assigned to contractInstance:
       logger.info(`\nGetting contract from contractOrigin 'remote'...`);
-      contractInstance = await getContractInstanceFromRemote(db, contractName);
+      contractInstance = await getContractInstanceFromRemote(db, contractName, contractAddress);
       break;
 
     case 'mongodb':
@@ -179,6 +194,98 @@ async function instantiateContract(db, contractName, contractAddress) {
   return contractInstance;
 }
 
+/**
+Get the history of the contracts which have emitted the tree's leaves, with the range of blocks over which each contract's events were followed.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@returns {array} [{ contractAddress, fromBlock, toBlock }], in order; the latest contract has no toBlock. Empty if the tree has no known contract.
+*/
+async function getContractAddressHistory(db) {
+  const metadataService = new MetadataService(db);
+  const { contractAddressHistory = [] } = await metadataService.getContractAddressHistory();
+  if (contractAddressHistory.length > 0)
+    return contractAddressHistory.map(({ contractAddress, fromBlock, toBlock }) => ({
+      contractAddress,
+      fromBlock,
+      ...(toBlock !== undefined && { toBlock }),
+    }));
+
+  // a tree which has never been migrated has followed its one contract from the start:
+  const { contractAddress } = (await metadataService.getContractAddress()) || {};
+  if (contractAddress === undefined || contractAddress === '0') return [];
+  return [{ contractAddress, fromBlock: 0 }];
+}
+
+/**
+Split a range of blocks into the ranges over which each of the tree's contracts was followed.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {number} fromBlock
+@param {number} toBlock
+@returns {array} [{ contractAddress, fromBlock, toBlock }] - empty if the tree has no known contract
+*/
+async function getContractAddressRanges(db, fromBlock, toBlock) {
+  const contractAddressHistory = await getContractAddressHistory(db);
+  return contractAddressHistory
+    .map((contract) => ({
+      contractAddress: contract.contractAddress,
+      fromBlock: Math.max(fromBlock, contract.fromBlock),
+      toBlock: contract.toBlock === undefined ? toBlock : Math.min(toBlock, contract.toBlock),
+    }))
+    .filter((range) => range.fromBlock <= range.toBlock);
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+Migrate a tree to a new contract (e.g. a redeployed controller which continues the same tree). The tree's previous contract is followed until the block before fromBlock; the new contract is followed from fromBlock.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {string} contractAddress - the address of the new contract
+@param {number} fromBlock - the first block from which to follow the new contract
+@returns {array} the tree's updated contractAddressHistory
+*/
+async function migrateContractAddress(db, contractAddress, fromBlock) {
+  logger.debug(
+    `src/contract-controller migrateContractAddress(db, contractAddress=${contractAddress}, fromBlock=${fromBlock})`,
+  );
+  if (!web3.utils.isAddress(contractAddress))
+    throw badRequest(`Invalid contractAddress '${contractAddress}'`);
+  if (!Number.isInteger(fromBlock) || fromBlock <= 0)
+    throw badRequest(`Invalid fromBlock '${fromBlock}'. Expected a positive block number.`);
+  const currentBlock = await utilsWeb3.getBlockNumber();
+  if (fromBlock > currentBlock)
+    throw badRequest(
+      `Can't migrate from block ${fromBlock}, because it hasn't been mined yet (the current block is ${currentBlock})`,
+    );
+
+  const contractAddressHistory = await getContractAddressHistory(db);
+  const previous = contractAddressHistory[contractAddressHistory.length - 1];
+  if (previous === undefined)
+    throw badRequest(`The tree has no contract to migrate from. Start its filter instead.`);
+  if (fromBlock <= previous.fromBlock)
+    throw badRequest(
+      `Can't migrate from block ${fromBlock}, because the tree's current contract (${previous.contractAddress}) has only been followed since block ${previous.fromBlock}`,
+    );
+
+  const newContractAddress = web3.utils.toChecksumAddress(contractAddress);
+  previous.toBlock = fromBlock - 1;
+  contractAddressHistory.push({ contractAddress: newContractAddress, fromBlock });
+
+  logger.info(
+    `Migrating the tree from contract ${previous.contractAddress} to contract ${newContractAddress}, from block ${fromBlock}...`,
+  );
+  const metadataService = new MetadataService(db);
+  await metadataService.updateContractAddressHistory({ contractAddressHistory });
+  await metadataService.insertContractAddress({ contractAddress: newContractAddress });
+
+  return contractAddressHistory;
+}
+
 export default {
   instantiateContract,
+  getContractAddressHistory,
+  getContractAddressRanges,
+  migrateContractAddress,
 };
@@ -2,5 +2,13 @@
 
 export const COLLECTIONS = {
   NODE: 'node',
+  PENDING_LEAF: 'pendingLeaf', // leaves which haven't yet reached the required confirmation depth
   METADATA: 'metadata',
+  EVENT: 'event', // a log of every event which the tree's filter has seen
+  DEAD_LETTER: 'deadLetter', // events which we repeatedly failed to ingest
+  RECORD: 'record', // the prefix of each named collection of 'records' (the params of auxiliary events, such as nullifiers)
+  FILTER: 'filter', // a registry of started event filters (shared by all trees)
 };
+
+// the processing statuses of the events in a tree's event log:
+export const EVENT_STATUSES = ['received', 'processed', 'failed', 'removed'];
@@ -0,0 +1,12 @@
+export default function ({ eventName, eventData, error, attempts }) {
+  const { blockNumber, logIndex, transactionHash } = eventData;
+  return {
+    eventName,
+    eventData,
+    ...(blockNumber !== undefined && { blockNumber: Number(blockNumber) }),
+    ...(logIndex !== undefined && { logIndex: Number(logIndex) }),
+    ...(transactionHash && { transactionHash }),
+    ...(error && { error }),
+    ...(attempts !== undefined && { attempts }),
+  };
+}
@@ -0,0 +1,22 @@
+export default function ({ eventName, eventData }) {
+  const {
+    event,
+    blockNumber,
+    blockHash,
+    transactionHash,
+    logIndex,
+    address,
+    raw,
+    returnValues,
+  } = eventData;
+  return {
+    eventName: eventName || event,
+    blockNumber: Number(blockNumber),
+    ...(blockHash && { blockHash }),
+    transactionHash,
+    logIndex: Number(logIndex),
+    ...(address && { address }),
+    ...(raw && { raw: { data: raw.data, topics: raw.topics } }),
+    ...(returnValues && { returnValues: { ...returnValues } }),
+  };
+}
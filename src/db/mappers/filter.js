@@ -0,0 +1,23 @@
+export default function ({
+  filterKey,
+  contractName,
+  treeId,
+  address,
+  chainId,
+  contractAddress,
+  fromBlock,
+  hashType,
+  curve,
+}) {
+  return {
+    _id: filterKey,
+    contractName,
+    ...(treeId !== undefined && treeId !== '' && { treeId }),
+    ...(address && { address }),
+    ...(chainId !== undefined && { chainId }),
+    ...(contractAddress && { contractAddress }),
+    ...(fromBlock !== undefined && { fromBlock }),
+    ...(hashType && { hashType }),
+    ...(curve && { curve }),
+  };
+}
@@ -1,3 +1,7 @@
 export { default as leafMapper } from './leaf';
 export { default as nodeMapper } from './node';
 export { default as metadataMapper } from './metadata';
+export { default as filterMapper } from './filter';
+export { default as deadLetterMapper } from './dead-letter';
+export { default as eventMapper } from './event';
+export { default as recordMapper } from './record';
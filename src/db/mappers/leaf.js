@@ -2,7 +2,21 @@ import utilsMT from '../../utils-merkle-tree';
 import logger from '../../logger';
 
 // This 'leaf' mapper differs from the 'node' mapper.
-export default function (treeHeight, { value, nodeIndex, leafIndex, blockNumber }) {
+export default function (
+  treeHeight,
+  {
+    value,
+    nodeIndex,
+    leafIndex,
+    blockNumber,
+    blockHash,
+    blockTimestamp,
+    transactionHash,
+    logIndex,
+    contractAddress,
+    root,
+  },
+) {
   // to prevent incorrect leaf data from being stored, we ensure the nodeIndex is calculated correctly from the leafIndex:
   const checkNodeIndex = utilsMT.leafIndexToNodeIndex(leafIndex, treeHeight);
   if (!nodeIndex) {
@@ -19,5 +33,11 @@ export default function (treeHeight, { value, nodeIndex, leafIndex, blockNumber
     nodeIndex,
     leafIndex,
     blockNumber,
+    blockHash,
+    blockTimestamp,
+    transactionHash,
+    logIndex,
+    contractAddress,
+    root,
   };
 }
@@ -1,15 +1,27 @@
 export default function ({
   contractAddress,
   contractInterface,
+  contractAddressHistory,
   treeHeight,
   latestRecalculation,
   latestLeaf,
+  latestFilteredBlock,
+  latestRootVerification,
+  corrupted,
+  chain,
+  hasher,
 }) {
   return {
     ...(contractAddress && { contractAddress }),
     ...(contractInterface && { contractInterface }),
+    ...(contractAddressHistory && { contractAddressHistory }),
     ...(treeHeight && { treeHeight }),
     ...(latestRecalculation && { latestRecalculation }),
     ...(latestLeaf && { latestLeaf }),
+    ...(latestFilteredBlock !== undefined && { latestFilteredBlock }),
+    ...(latestRootVerification && { latestRootVerification }),
+    ...(corrupted !== undefined && { corrupted }),
+    ...(chain && { chain }),
+    ...(hasher && { hasher }),
   };
 }
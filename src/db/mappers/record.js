@@ -0,0 +1,19 @@
+export default function ({
+  eventName,
+  blockNumber,
+  blockHash,
+  blockTimestamp,
+  transactionHash,
+  logIndex,
+  ...values
+}) {
+  return {
+    ...values, // the event's chosen params
+    eventName,
+    blockNumber: Number(blockNumber),
+    ...(blockHash && { blockHash }),
+    ...(blockTimestamp && { blockTimestamp }),
+    transactionHash,
+    logIndex: Number(logIndex),
+  };
+}
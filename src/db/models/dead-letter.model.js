@@ -0,0 +1,34 @@
+import { Schema } from 'mongoose';
+
+// This schema stores events which we repeatedly failed to ingest into the tree; so that they can be inspected, and replayed once the cause of the failure has been fixed.
+
+export default new Schema(
+  {
+    eventName: {
+      type: String,
+      required: true,
+    },
+    eventData: {
+      // the event object, exactly as we received it from web3
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    blockNumber: {
+      type: Number,
+    },
+    logIndex: {
+      type: Number,
+    },
+    transactionHash: {
+      type: String,
+    },
+    error: {
+      // the error which was thrown by the final attempt to ingest the event
+      type: String,
+    },
+    attempts: {
+      type: Number,
+    },
+  },
+  { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } },
+);
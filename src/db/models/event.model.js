@@ -0,0 +1,56 @@
+import { Schema } from 'mongoose';
+
+// This schema stores every event which the tree's filter has seen (a raw event log); so that we can audit exactly what the filter saw, and replay the log into a fresh tree.
+
+const eventSchema = new Schema(
+  {
+    eventName: {
+      type: String,
+      required: true,
+    },
+    blockNumber: {
+      type: Number,
+      required: true,
+    },
+    blockHash: {
+      type: String,
+    },
+    transactionHash: {
+      type: String,
+      required: true,
+    },
+    logIndex: {
+      type: Number,
+      required: true,
+    },
+    address: {
+      // the address of the contract which emitted the event
+      type: String,
+    },
+    raw: {
+      // the raw log, exactly as it was emitted
+      data: String,
+      topics: [String],
+    },
+    returnValues: {
+      // the decoded args of the event
+      type: Schema.Types.Mixed,
+    },
+    status: {
+      // 'received' (not yet ingested), 'processed', 'failed' (see the dead-letter collection), or 'removed' (by a chain reorganisation)
+      type: String,
+      default: 'received',
+    },
+    error: {
+      // why the event failed to be ingested (if it did)
+      type: String,
+    },
+  },
+  { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } },
+);
+
+// an event is identified by its (transactionHash, logIndex):
+eventSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+eventSchema.index({ blockNumber: 1, logIndex: 1 });
+
+export default eventSchema;
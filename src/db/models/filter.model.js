@@ -0,0 +1,44 @@
+import { Schema } from 'mongoose';
+
+// This schema stores information relating to each event filter which has been started; so that the filters can be resumed after a restart.
+
+export default new Schema(
+  {
+    _id: {
+      type: String, // the filterKey (e.g. contractName, or contractName.treeId@chainId:address), so that only one document can ever exist per filter
+    },
+    contractName: {
+      type: String,
+      required: true,
+    },
+    treeId: {
+      type: String,
+    },
+    // the deployment selector (if any) which the tree was started with:
+    address: {
+      type: String,
+    },
+    chainId: {
+      type: Number,
+    },
+    contractAddress: {
+      type: String,
+    },
+    fromBlock: {
+      // the block from which the filter was (most recently) started
+      type: Number,
+    },
+    hashType: {
+      type: String,
+    },
+    curve: {
+      type: String,
+    },
+    state: {
+      // 'running' or 'paused'
+      type: String,
+      default: 'running',
+    },
+  },
+  { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } },
+);
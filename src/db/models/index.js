@@ -1,2 +1,6 @@
 export { default as nodeSchema } from './node.model';
 export { default as metadataSchema } from './metadata.model';
+export { default as filterSchema } from './filter.model';
+export { default as deadLetterSchema } from './dead-letter.model';
+export { default as eventSchema } from './event.model';
+export { default as recordSchema } from './record.model';
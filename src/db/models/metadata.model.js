@@ -21,6 +21,15 @@ export default new Schema(
       type: String, // a jsonified object
       default: '0', // '0' can be interpreted as 'no known contract'
     },
+    // if the tree has been migrated to a new contract (see POST /migrate), the contracts which have emitted its leaves, in order. The latest contract is the contractAddress (and has no toBlock):
+    contractAddressHistory: [
+      {
+        _id: false,
+        contractAddress: String,
+        fromBlock: Number, // the first block from which the contract's events were followed
+        toBlock: Number, // the last block (inclusive) until which the contract's events were followed
+      },
+    ],
 
     latestRecalculation: {
       blockNumber: Number,
@@ -45,6 +54,51 @@ export default new Schema(
     latestLeaf: {
       blockNumber: Number,
       leafIndex: Number,
+      blockTimestamp: Date, // the time at which the latest leaf's block was mined
+      updatedAt: Date, // the time at which we last updated the latestLeaf
+    },
+
+    // the result of the latest check of our calculated root against the root which the contract emitted (for the same leaf count):
+    latestRootVerification: {
+      leafIndex: Number, // the leafIndex of the latest leaf which was added to the tree before the root was calculated
+      calculatedRoot: String,
+      emittedRoot: String,
+      verified: Boolean, // true if the roots match
+    },
+
+    // a record of every event which tried to put a different leaf value at an index which already holds a leaf:
+    integrityErrors: [
+      {
+        leafIndex: Number,
+        storedValue: String,
+        conflictingValue: String,
+        transactionHash: String, // identifies the conflicting event
+        logIndex: Number,
+        detectedAt: Date,
+      },
+    ],
+
+    // if a calculated root ever fails to match the emitted root (or a leaf's value is contradicted by an event), we flag the tree as corrupted (its nodes can't be trusted):
+    corrupted: {
+      type: Boolean,
+      default: false,
+    },
+
+    // the last block whose events have been filtered (a durable cursor for the polling filter, which is used with http providers):
+    latestFilteredBlock: {
+      type: Number,
+    },
+
+    // the chain which the tree's leaves were filtered from (recorded when the tree is first started), so that we never mix in leaves from another chain:
+    chain: {
+      chainId: Number,
+      genesisBlockHash: String,
+    },
+
+    // the hash function of the tree's nodes (recorded when the tree is first started; see src/hashers.js):
+    hasher: {
+      hashType: String,
+      curve: String,
     },
   },
   { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } },
@@ -2,7 +2,7 @@ import { Schema } from 'mongoose';
 
 // This schema stores information relating to each node of the tree. Note that a leaf shares this same schema.
 
-export default new Schema(
+const nodeSchema = new Schema(
   {
     value: {
       // The value at this node of the tree.
@@ -30,7 +30,38 @@ export default new Schema(
       // the blockNumber during which this leaf was emitted
       type: Number,
     },
+    blockHash: {
+      // the hash of the block during which this leaf was emitted (so that we can detect if that block is later reorganised out of the chain)
+      type: String,
+    },
+    blockTimestamp: {
+      // the time at which this leaf's block was mined
+      type: Date,
+      index: true,
+      sparse: true, // only leaves have a blockTimestamp
+    },
+    transactionHash: {
+      // the hash of the transaction which emitted this leaf
+      type: String,
+    },
+    logIndex: {
+      // the position, within its block, of the event which emitted this leaf (all leaves of a NewLeaves event share the same logIndex)
+      type: Number,
+    },
+    contractAddress: {
+      // the address of the contract which emitted this leaf (a tree can be migrated to a new contract)
+      type: String,
+    },
+    root: {
+      // the root which the contract emitted once this leaf had been added (only the last leaf of a NewLeaves event has one); so that we can check our own calculation of the root
+      type: String,
+    },
   },
 
   // { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } },
 );
+
+// an event is identified by its (transactionHash, logIndex); so that we can recognise an event which we've already ingested:
+nodeSchema.index({ transactionHash: 1, logIndex: 1 }, { sparse: true });
+
+export default nodeSchema;
@@ -0,0 +1,36 @@
+import { Schema } from 'mongoose';
+
+// This schema stores the params of an auxiliary event (e.g. a nullifier), which the user's config says should be 'recorded' in a named collection. Only the event's identity is fixed; the chosen params are stored alongside it (hence strict: false).
+
+const recordSchema = new Schema(
+  {
+    eventName: {
+      type: String,
+      required: true,
+    },
+    blockNumber: {
+      type: Number,
+      required: true,
+    },
+    blockHash: {
+      type: String,
+    },
+    blockTimestamp: {
+      type: Date,
+    },
+    transactionHash: {
+      type: String,
+      required: true,
+    },
+    logIndex: {
+      type: Number,
+      required: true,
+    },
+  },
+  { strict: false, timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } },
+);
+
+// an event is identified by its (transactionHash, logIndex), so that an event which is seen twice is only recorded once:
+recordSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+
+export default recordSchema;
@@ -5,49 +5,115 @@
  */
 
 import { COLLECTIONS } from '../common/constants';
-import { nodeSchema, metadataSchema } from '../models';
+import {
+  nodeSchema,
+  metadataSchema,
+  filterSchema,
+  deadLetterSchema,
+  eventSchema,
+  recordSchema,
+} from '../models';
 import logger from '../../logger';
+
+/**
+Deployments are identified case-insensitively by their address, and by their (numeric) chainId.
+@param {object} deployment - { address, chainId }
+@returns {object} { address, chainId } - (with any unspecified parts omitted)
+*/
+function normaliseDeployment({ address, chainId } = {}) {
+  return {
+    ...(address !== undefined && address !== '' && { address: address.toLowerCase() }),
+    ...(chainId !== undefined && chainId !== '' && { chainId: Number(chainId) }),
+  };
+}
+
 /**
 Class created from within src/middleware/assign-db-connection
 @param {object} connection - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy)
 @param {string} username - username
-@param {string} contractName - contractName of the contract which relates to this db
+@param {string} contractName - contractName of the contract which relates to this db (if undefined, only the models which are shared by all of the user's trees are created)
+@param {string} treeId - (optional) the treeId of the tree (within the contract) which relates to this db
+@param {object} deployment - (optional) { address, chainId } - selects one of several deployments of the same contractName. A tree which was started without a deployment selector is the contract's 'default' deployment (and keeps its original collection names).
 */
 export default class DB {
-  constructor(connection, username, contractName, treeId) {
+  constructor(connection, username, contractName, treeId, deployment = {}) {
     this.connection = connection;
     this.username = username;
+    this.contractName = contractName;
+    this.treeId = treeId;
+    this.deployment = normaliseDeployment(deployment);
     if (!username) return;
-    this.createModelsForUser(contractName, treeId);
+    this.createModelsForUser(contractName);
+  }
+
+  /**
+  The prefix of the names of the tree's collections.
+  The default deployment's trees keep their original names: `${contractName}` or `${contractName}_${treeId}`.
+  Any other deployment's trees are named `${contractName}@chain-${chainId}_${address}_tree-${treeId}` (omitting any parts which don't apply to the tree); each part is labelled, so that e.g. a treeId can't be mistaken for a chainId.
+  */
+  getTreeName() {
+    const { chainId, address } = this.deployment;
+    const hasTreeId = this.treeId !== undefined && this.treeId !== '';
+    if (chainId === undefined && address === undefined)
+      return hasTreeId ? `${this.contractName}_${this.treeId}` : this.contractName;
+
+    const deploymentName = [
+      chainId !== undefined && `chain-${chainId}`,
+      address,
+      hasTreeId && `tree-${this.treeId}`,
+    ]
+      .filter(Boolean)
+      .join('_');
+    return `${this.contractName}@${deploymentName}`;
   }
 
   /**
   A model is a class with which we construct documents
   */
-  createModelsForUser(contractName, treeId) {
-    if (treeId === undefined || treeId === '') {
-      this.Models = {
-        node: this.connection.model(
-          `${this.username}_${contractName}_${COLLECTIONS.NODE}`,
-          nodeSchema,
-        ),
-        metadata: this.connection.model(
-          `${this.username}_${contractName}_${COLLECTIONS.METADATA}`,
-          metadataSchema,
-        ),
-      };
-    } else {
-      this.Models = {
-        node: this.connection.model(
-          `${this.username}_${contractName}_${treeId}_${COLLECTIONS.NODE}`,
-          nodeSchema,
-        ),
-        metadata: this.connection.model(
-          `${this.username}_${contractName}_${treeId}_${COLLECTIONS.METADATA}`,
-          metadataSchema,
-        ),
-      };
+  createModelsForUser(contractName) {
+    // the filter registry is shared by all of the user's trees:
+    this.Models = {
+      filter: this.connection.model(`${this.username}_${COLLECTIONS.FILTER}`, filterSchema),
+    };
+    if (contractName === undefined) return;
+
+    const treeName = this.getTreeName();
+    this.Models = {
+      ...this.Models,
+      node: this.connection.model(`${this.username}_${treeName}_${COLLECTIONS.NODE}`, nodeSchema),
+      pendingLeaf: this.connection.model(
+        `${this.username}_${treeName}_${COLLECTIONS.PENDING_LEAF}`,
+        nodeSchema, // a pending leaf is stored in the same format as a leaf
+      ),
+      metadata: this.connection.model(
+        `${this.username}_${treeName}_${COLLECTIONS.METADATA}`,
+        metadataSchema,
+      ),
+      deadLetter: this.connection.model(
+        `${this.username}_${treeName}_${COLLECTIONS.DEAD_LETTER}`,
+        deadLetterSchema,
+      ),
+      event: this.connection.model(
+        `${this.username}_${treeName}_${COLLECTIONS.EVENT}`,
+        eventSchema,
+      ),
+    };
+  }
+
+  /**
+  The models of the (named) collections of 'records' are only created when they're first used; because they're named in the user's config, rather than being fixed.
+  @param {string} collection - the name of the collection of records
+  @returns {string} the name of the collection's Model class
+  */
+  getRecordModelName(collection) {
+    const modelName = `${COLLECTIONS.RECORD}_${collection}`;
+    if (!this.Models[modelName]) {
+      this.Models[modelName] = this.connection.model(
+        `${this.username}_${this.getTreeName()}_${modelName}`,
+        recordSchema,
+      );
     }
+    return modelName;
   }
 
   /**
@@ -77,14 +143,15 @@ export default class DB {
   Save data as a document (an instance of a particular Model) in a collection.
   @param {string} modelName - the name of the Model class.
   @param {array} docs - an array of many documents to store at once in the collection.
+  @param {object} options - extra mongoose options. E.g. the ordered = false option continues to insert the remaining documents if one of them fails to insert.
   */
-  async insertMany(modelName, docs) {
+  async insertMany(modelName, docs, options = {}) {
     try {
       // A Model is a class with which we construct documents:
       const Model = this.Models[modelName];
 
       // insert the documents into the db:
-      const dbResponse = await Model.insertMany(docs); // insertMany uses a single write operation, rather than iterating through.
+      const dbResponse = await Model.insertMany(docs, options); // insertMany uses a single write operation, rather than iterating through.
 
       logger.debug('src/db/mongodb/db insertMany()');
       logger.silly(`dbResponse ${JSON.stringify(dbResponse, null, 2)}`);
@@ -166,6 +233,28 @@ export default class DB {
     }
   }
 
+  /**
+  Update every document (instance of a particular Model) in a collection which matches a query, with the same updateData.
+  @param {string} modelName - the name of the Model class.
+  @param {object} query - the query conditions which filter to the documents we want to update.
+  @param {object} updateData - the data with which to update the documents.
+  */
+  async updateDocs(modelName, query, updateData) {
+    try {
+      // A Model is a class with which we construct documents. We can also access all documents constructed from a particular Model class through that Model class:
+      const Model = this.Models[modelName];
+      const dbResponse = await Model.updateMany(query, updateData);
+
+      logger.debug('src/db/mongodb/db updateDocs()');
+      logger.silly(`dbResponse ${JSON.stringify(dbResponse, null, 2)}`);
+
+      return Promise.resolve(dbResponse);
+    } catch (e) {
+      logger.error(e);
+      return Promise.reject(e);
+    }
+  }
+
   /**
   Update many documents (instances of a particular Model) in a collection.
   @param {string} modelName - the name of the Model class.
@@ -189,6 +278,27 @@ export default class DB {
     }
   }
 
+  /**
+  Delete many documents (instances of a particular Model) from a collection.
+  @param {string} modelName - the name of the Model class.
+  @param {object} query - the query conditions which filter to the documents we want to delete.
+  */
+  async deleteMany(modelName, query) {
+    try {
+      // A Model is a class with which we construct documents. We can also access all documents constructed from a particular Model class through that Model class:
+      const Model = this.Models[modelName];
+      const dbResponse = await Model.deleteMany(query);
+
+      logger.debug('src/db/mongodb/db deleteMany()');
+      logger.silly(`dbResponse ${JSON.stringify(dbResponse, null, 2)}`);
+
+      return Promise.resolve(dbResponse);
+    } catch (e) {
+      logger.error(e);
+      return Promise.reject(e);
+    }
+  }
+
   /**
   Aggregation operations process data records and return computed results. Aggregation operations group values from multiple documents together, and can perform a variety of operations on the grouped data to RETURN A SINGLE RESULT.
   @param {string} modelName - the name of the Model class.
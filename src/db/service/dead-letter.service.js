@@ -0,0 +1,64 @@
+/**
+ * @module dead-letter.service.js
+ * @desc orchestrates inserts to and gets from the mongodb's collection of 'dead-letter' events (events which we failed to ingest)
+ */
+
+import { COLLECTIONS } from '../common/constants';
+import { deadLetterMapper } from '../mappers';
+import logger from '../../logger';
+
+export default class DeadLetterService {
+  constructor(_db) {
+    this.db = _db;
+  }
+
+  // INSERTS
+
+  /**
+  Record an event which we failed to ingest
+  @param {object} deadLetter - { eventName, eventData, error, attempts }
+  */
+  async insertDeadLetter(deadLetter) {
+    logger.debug('src/db/service/dead-letter.service insertDeadLetter()');
+    const mappedData = deadLetterMapper(deadLetter);
+    logger.silly(`data after mapping: ${JSON.stringify(mappedData, null, 2)}`);
+
+    const dbResponse = await this.db.save(COLLECTIONS.DEAD_LETTER, mappedData);
+
+    return dbResponse;
+  }
+
+  // DELETES
+
+  /**
+  Remove a dead-letter event (e.g. once it has been replayed)
+  @param {string} id - the _id of the dead-letter document
+  */
+  async deleteDeadLetter(id) {
+    logger.debug('src/db/service/dead-letter.service deleteDeadLetter()');
+
+    const dbResponse = await this.db.deleteMany(COLLECTIONS.DEAD_LETTER, { _id: id });
+
+    return dbResponse;
+  }
+
+  // GETTERS
+
+  /**
+  Get dead-letter events, in the order in which they were emitted
+  @param {array} ids - (optional) the _ids of the dead-letter documents to get. If omitted, all of them are returned.
+  @returns {array} an array of dead-letter objects
+  */
+  async getDeadLetters(ids) {
+    logger.debug('src/db/service/dead-letter.service getDeadLetters()');
+
+    const docs = await this.db.getDocs(
+      COLLECTIONS.DEAD_LETTER,
+      ids === undefined ? {} : { _id: { $in: ids } }, // query
+      null, // don't filter the output
+      { blockNumber: 1, logIndex: 1 }, // sort by the events' positions in the blockchain
+    );
+
+    return docs;
+  }
+}
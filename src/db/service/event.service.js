@@ -0,0 +1,102 @@
+/**
+ * @module event.service.js
+ * @desc orchestrates inserts to and gets from the mongodb's log of the events which the tree's filter has seen
+ */
+
+import { COLLECTIONS } from '../common/constants';
+import { eventMapper } from '../mappers';
+import logger from '../../logger';
+
+export default class EventService {
+  constructor(_db) {
+    this.db = _db;
+  }
+
+  // INSERTS
+
+  /**
+  Record an event which the filter has seen (overwriting any previous record of the same event, which is identified by its transactionHash and logIndex). The event's status is reset to 'received'.
+  @param {object} event - { eventName, eventData }
+  */
+  async saveEvent(event) {
+    logger.debug('src/db/service/event.service saveEvent()');
+    const mappedData = eventMapper(event);
+    logger.silly(`data after mapping: ${JSON.stringify(mappedData, null, 2)}`);
+
+    const { transactionHash, logIndex } = mappedData;
+    const dbResponse = await this.db.updateDoc(
+      COLLECTIONS.EVENT,
+      { transactionHash, logIndex },
+      { $set: { ...mappedData, status: 'received' }, $unset: { error: '' } },
+      { upsert: true },
+    );
+
+    return dbResponse;
+  }
+
+  // UPDATES
+
+  /**
+  Update the processing status of an event
+  @param {object} eventData - (at least) { transactionHash, logIndex }
+  @param {string} status - 'received', 'processed', 'failed' or 'removed'
+  @param {string} error - (optional) why the event failed
+  */
+  async updateEventStatus({ transactionHash, logIndex }, status, error) {
+    logger.debug('src/db/service/event.service updateEventStatus()');
+
+    const dbResponse = await this.db.updateDoc(
+      COLLECTIONS.EVENT,
+      { transactionHash, logIndex: Number(logIndex) },
+      { $set: { status, ...(error && { error }) } },
+    );
+
+    return dbResponse;
+  }
+
+  /**
+  Mark every event from (and including) a particular block as 'removed' (by a chain reorganisation). Any of them which are still part of the canonical chain will be re-recorded when they're re-filtered.
+  @param {number} blockNumber
+  */
+  async markEventsRemovedFromBlock(blockNumber) {
+    logger.debug('src/db/service/event.service markEventsRemovedFromBlock()');
+
+    const dbResponse = await this.db.updateDocs(
+      COLLECTIONS.EVENT,
+      { blockNumber: { $gte: blockNumber } },
+      { $set: { status: 'removed' } },
+    );
+
+    return dbResponse;
+  }
+
+  // GETTERS
+
+  /**
+  Get the events which the filter has seen, in the order in which they were emitted
+  @param {object} query - (all optional) { eventName, fromBlock, toBlock, status }
+  @returns {array} an array of event objects
+  */
+  async getEvents({ eventName, fromBlock, toBlock, status } = {}) {
+    logger.debug('src/db/service/event.service getEvents()');
+
+    const query = {
+      ...(eventName && { eventName }),
+      ...((fromBlock !== undefined || toBlock !== undefined) && {
+        blockNumber: {
+          ...(fromBlock !== undefined && { $gte: fromBlock }),
+          ...(toBlock !== undefined && { $lte: toBlock }),
+        },
+      }),
+      ...(status && { status }),
+    };
+    const docs = await this.db.getDocs(
+      COLLECTIONS.EVENT,
+      query,
+      null, // don't filter the output
+      { blockNumber: 1, logIndex: 1 }, // sort by the events' positions in the blockchain
+    );
+
+    return docs;
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * @module filter.service.js
+ * @desc orchestrates inserts to and gets from the mongodb's registry of event filters
+ */
+
+import { COLLECTIONS } from '../common/constants';
+import { filterMapper } from '../mappers';
+import logger from '../../logger';
+
+export default class FilterService {
+  constructor(_db) {
+    this.db = _db;
+  }
+
+  // INSERTS
+
+  /**
+  Record a started filter in the registry (overwriting any previous record of the same filter, except for its state)
+  @param {object} filter - { filterKey, contractName, treeId, address, chainId, contractAddress, fromBlock, hashType, curve, state } - the state ('running' by default) is only recorded for a new filter; an existing filter keeps its state (which only updateFilterState changes)
+  */
+  async saveFilter(filter) {
+    logger.debug('src/db/service/filter.service saveFilter()');
+    const mappedData = filterMapper(filter);
+    logger.silly(`data after mapping: ${JSON.stringify(mappedData, null, 2)}`);
+
+    const dbResponse = await this.db.updateDoc(
+      COLLECTIONS.FILTER,
+      { _id: mappedData._id }, // eslint-disable-line no-underscore-dangle
+      { $set: mappedData, $setOnInsert: { state: filter.state || 'running' } },
+      { upsert: true },
+    );
+
+    return dbResponse;
+  }
+
+  // UPDATES
+
+  /**
+  Update the state ('running' or 'paused') of a filter in the registry
+  @param {string} filterKey
+  @param {string} state
+  */
+  async updateFilterState(filterKey, state) {
+    logger.debug('src/db/service/filter.service updateFilterState()');
+
+    const dbResponse = await this.db.updateDoc(
+      COLLECTIONS.FILTER,
+      { _id: filterKey },
+      { $set: { state } },
+    );
+
+    return dbResponse;
+  }
+
+  // DELETES
+
+  /**
+  Remove a (stopped) filter from the registry
+  @param {string} filterKey
+  */
+  async deleteFilter(filterKey) {
+    logger.debug('src/db/service/filter.service deleteFilter()');
+
+    const dbResponse = await this.db.deleteMany(COLLECTIONS.FILTER, { _id: filterKey });
+
+    return dbResponse;
+  }
+
+  // GETTERS
+
+  /**
+  Get every filter in the registry
+  @returns {array} an array of filter objects
+  */
+  async getFilters() {
+    logger.debug('src/db/service/filter.service getFilters()');
+
+    const docs = await this.db.getDocs(
+      COLLECTIONS.FILTER,
+      {}, // query
+      null, // don't filter the output
+      { created_at: 1 }, // sort by creation time, so that filters are resumed in the order they were started
+    );
+
+    return docs;
+  }
+}
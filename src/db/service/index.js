@@ -1,3 +1,7 @@
 export { default as LeafService } from './leaf.service';
 export { default as NodeService } from './node.service';
 export { default as MetadataService } from './metadata.service';
+export { default as FilterService } from './filter.service';
+export { default as DeadLetterService } from './dead-letter.service';
+export { default as EventService } from './event.service';
+export { default as RecordService } from './record.service';
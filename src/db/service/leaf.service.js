@@ -52,9 +52,9 @@ export default class LeafService {
     const mappedData = leaves.map((leaf) => leafMapper(treeHeight, leaf));
     logger.silly(`data after mapping: ${JSON.stringify(mappedData, null, 2)}`);
 
-    // insert the leaves into the 'nodes' collection:
+    // insert the leaves into the 'nodes' collection (unordered, so that any leaves which already exist don't prevent the others from being inserted):
     try {
-      const dbResponse = await this.db.insertMany(COLLECTIONS.NODE, mappedData);
+      const dbResponse = await this.db.insertMany(COLLECTIONS.NODE, mappedData, { ordered: false });
       return dbResponse;
     } catch (err) {
       if (err.code === 11000) {
@@ -67,10 +67,86 @@ export default class LeafService {
     }
   }
 
+  /**
+  Insert many leaves into the 'pending leaves' collection. Pending leaves are held there until they've reached the required confirmation depth, at which point they're moved into the merkle tree.
+  Unlike the tree's leaves, a pending leaf is overwritten by a leaf with the same leafIndex: if a chain reorganisation has replaced the block which emitted the pending leaf, the new leaf (from the new block) is the one which will be confirmed.
+  @param {number} treeHeight
+  @param {array} leaves - an array of leaf objects ('documents')
+  */
+  async insertPendingLeaves(treeHeight, leaves) {
+    logger.debug('src/db/service/leaf.service insertPendingLeaves()');
+    const mappedData = leaves.map((leaf) => leafMapper(treeHeight, leaf));
+    logger.silly(`data after mapping: ${JSON.stringify(mappedData, null, 2)}`);
+
+    const bulkUpdates = mappedData.map((item) => ({
+      updateOne: {
+        filter: {
+          leafIndex: item.leafIndex,
+        },
+        // (the driver would store undefined fields as null, so we leave them out)
+        update: {
+          $set: Object.keys(item).reduce(
+            (acc, key) => (item[key] === undefined ? acc : { ...acc, [key]: item[key] }),
+            {},
+          ),
+        },
+        upsert: true, // replace any pending leaf with the same leafIndex (e.g. from an orphaned block)
+      },
+    }));
+
+    const dbResponse = await this.db.bulkWrite(COLLECTIONS.PENDING_LEAF, bulkUpdates);
+
+    return dbResponse;
+  }
+
   // UPDATES
 
   // nothing here - leaves never change
 
+  // DELETES
+
+  /**
+  Delete all leaves from (and including) a particular leafIndex. Leaves are only ever deleted if the blocks in which they were emitted have been reorganised out of the blockchain.
+  @param {number} minLeafIndex
+  */
+  async deleteLeavesFromLeafIndex(minLeafIndex) {
+    logger.debug('src/db/service/leaf.service deleteLeavesFromLeafIndex()');
+
+    const dbResponse = await this.db.deleteMany(COLLECTIONS.NODE, {
+      leafIndex: { $gte: minLeafIndex },
+    });
+
+    return dbResponse;
+  }
+
+  /**
+  Delete pending leaves by their leafIndices (e.g. once they've been moved into the merkle tree).
+  @param {array} leafIndices
+  */
+  async deletePendingLeavesByLeafIndices(leafIndices) {
+    logger.debug('src/db/service/leaf.service deletePendingLeavesByLeafIndices()');
+
+    const dbResponse = await this.db.deleteMany(COLLECTIONS.PENDING_LEAF, {
+      leafIndex: { $in: leafIndices },
+    });
+
+    return dbResponse;
+  }
+
+  /**
+  Delete all pending leaves which were emitted during or after a particular block (e.g. because that block has been reorganised out of the blockchain).
+  @param {number} blockNumber
+  */
+  async deletePendingLeavesFromBlock(blockNumber) {
+    logger.debug('src/db/service/leaf.service deletePendingLeavesFromBlock()');
+
+    const dbResponse = await this.db.deleteMany(COLLECTIONS.PENDING_LEAF, {
+      blockNumber: { $gte: blockNumber },
+    });
+
+    return dbResponse;
+  }
+
   // GETTERS
 
   /**
@@ -106,6 +182,25 @@ export default class LeafService {
     return docs;
   }
 
+  /**
+  Get the leaves which were emitted by a particular event (an event is identified by its transactionHash and logIndex)
+  @param {string} transactionHash
+  @param {number} logIndex
+  @returns {array} an array of leaf objects
+  */
+  async getLeavesByEvent(transactionHash, logIndex) {
+    logger.debug('src/db/service/leaf.service getLeavesByEvent()');
+
+    const docs = await this.db.getDocs(
+      COLLECTIONS.NODE,
+      { leafIndex: { $exists: true }, transactionHash, logIndex },
+      null, // don't filter the output
+      { leafIndex: 1 }, // sort by leafIndex in ascending order
+    );
+
+    return docs;
+  }
+
   /**
   Get all leaves within a range determined by their leafIndices
   @param {number} minIndex
@@ -125,6 +220,70 @@ export default class LeafService {
     return docs;
   }
 
+  /**
+  Get the leaves which were emitted by a particular transaction
+  @param {string} transactionHash
+  @returns {array} an array of leaf objects
+  */
+  async getLeavesByTransactionHash(transactionHash) {
+    logger.debug('src/db/service/leaf.service getLeavesByTransactionHash()');
+
+    const docs = await this.db.getDocs(
+      COLLECTIONS.NODE,
+      { leafIndex: { $exists: true }, transactionHash },
+      null, // don't filter the output
+      { leafIndex: 1 }, // sort by leafIndex in ascending order
+    );
+
+    return docs;
+  }
+
+  /**
+  Get the leaves which were emitted within a range of blocks
+  @param {number} fromBlock - (optional) if omitted, the range starts at the first leaf
+  @param {number} toBlock - (optional) if omitted, the range ends at the latest leaf
+  @returns {array} an array of leaf objects
+  */
+  async getLeavesByBlockRange(fromBlock, toBlock) {
+    logger.debug('src/db/service/leaf.service getLeavesByBlockRange()');
+
+    const blockNumber = {
+      ...(fromBlock !== undefined && { $gte: fromBlock }),
+      ...(toBlock !== undefined && { $lte: toBlock }),
+    };
+    const docs = await this.db.getDocs(
+      COLLECTIONS.NODE,
+      { leafIndex: { $exists: true }, blockNumber },
+      null, // don't filter the output
+      { leafIndex: 1 }, // sort by leafIndex in ascending order
+    );
+
+    return docs;
+  }
+
+  /**
+  Get the leaves whose blocks were mined within a range of times
+  @param {Date} since - (optional) if omitted, the range starts at the first leaf
+  @param {Date} until - (optional) if omitted, the range ends at the latest leaf
+  @returns {array} an array of leaf objects
+  */
+  async getLeavesByTimeRange(since, until) {
+    logger.debug('src/db/service/leaf.service getLeavesByTimeRange()');
+
+    const blockTimestamp = {
+      ...(since !== undefined && { $gte: since }),
+      ...(until !== undefined && { $lte: until }),
+    };
+    const docs = await this.db.getDocs(
+      COLLECTIONS.NODE,
+      { leafIndex: { $exists: true }, blockTimestamp },
+      null, // don't filter the output
+      { leafIndex: 1 }, // sort by leafIndex in ascending order
+    );
+
+    return docs;
+  }
+
   /**
   Get a single leaf (or a set of leaves with duplicate values) by its value
   @param {string} value
@@ -211,6 +370,79 @@ export default class LeafService {
     return doc[0];
   }
 
+  /**
+  Get the leaf with the lowest leafIndex, of those emitted during or after a particular block
+  @param {number} blockNumber
+  @returns {object} the leaf object
+  */
+  async getFirstLeafFromBlock(blockNumber) {
+    logger.debug('src/db/service/leaf.service getFirstLeafFromBlock()');
+
+    const docs = await this.db.getDocs(
+      COLLECTIONS.NODE,
+      { leafIndex: { $exists: true }, blockNumber: { $gte: blockNumber } }, // query
+      null, // don't filter the output
+      { leafIndex: 1 }, // sort by leafIndex in ascending order (we'll then grab the top one)
+      1, // limit to the 'top' (first) result
+    );
+
+    return docs[0];
+  }
+
+  /**
+  Get the leaf with the highest leafIndex, of those emitted before a particular block
+  @param {number} blockNumber
+  @returns {object} the leaf object
+  */
+  async getLatestLeafBeforeBlock(blockNumber) {
+    logger.debug('src/db/service/leaf.service getLatestLeafBeforeBlock()');
+
+    const docs = await this.db.getDocs(
+      COLLECTIONS.NODE,
+      { leafIndex: { $exists: true }, blockNumber: { $lt: blockNumber } }, // query
+      null, // don't filter the output
+      { leafIndex: -1 }, // sort by leafIndex in descending order (we'll then grab the top one)
+      1, // limit to the 'top' (latest) result
+    );
+
+    return docs[0];
+  }
+
+  /**
+  Get all pending leaves (i.e. leaves which haven't yet reached the required confirmation depth).
+  @returns {array} an array of leaf objects
+  */
+  async getPendingLeaves() {
+    logger.debug('src/db/service/leaf.service getPendingLeaves()');
+
+    const docs = await this.db.getDocs(
+      COLLECTIONS.PENDING_LEAF,
+      {}, // query
+      null, // don't filter the output
+      { leafIndex: 1 }, // sort by leafIndex in ascending order
+    );
+
+    return docs;
+  }
+
+  /**
+  Get all pending leaves which were emitted up to (and including) a particular block.
+  @param {number} blockNumber
+  @returns {array} an array of leaf objects
+  */
+  async getPendingLeavesToBlock(blockNumber) {
+    logger.debug('src/db/service/leaf.service getPendingLeavesToBlock()');
+
+    const docs = await this.db.getDocs(
+      COLLECTIONS.PENDING_LEAF,
+      { blockNumber: { $lte: blockNumber } }, // query
+      null, // don't filter the output
+      { leafIndex: 1 }, // sort by leafIndex in ascending order
+    );
+
+    return docs;
+  }
+
   // OTHER
 
   /**
@@ -34,6 +34,25 @@ export default class MetadataService {
     return dbResponse;
   }
 
+  /**
+  Update the history of the contracts which have emitted the tree's leaves (when the tree is migrated to a new contract)
+  @param {object} data - { contractAddressHistory: [{ contractAddress, fromBlock, toBlock }] }
+  */
+  async updateContractAddressHistory(data) {
+    logger.debug('src/db/service/metadata.service updateContractAddressHistory()');
+    const { contractAddressHistory } = metadataMapper(data);
+    if (contractAddressHistory === undefined) return null;
+
+    const dbResponse = await this.db.updateDoc(
+      COLLECTIONS.METADATA,
+      { _id: 1 },
+      { $set: { contractAddressHistory } },
+      { upsert: true },
+    );
+
+    return dbResponse;
+  }
+
   /**
   Insert a contractInterface into the tree's metadata
   @param {object} data
@@ -144,6 +163,102 @@ export default class MetadataService {
     return doc;
   }
 
+  /**
+  Update the latestRootVerification object in the tree's metadata; and flag the tree as corrupted if the roots didn't match
+  @param {object} data
+  */
+  async updateLatestRootVerification(data) {
+    logger.debug('src/db/service/metadata.service updateLatestRootVerification()');
+    const { latestRootVerification } = metadataMapper(data);
+    if (latestRootVerification === undefined) return null;
+
+    const update = { latestRootVerification };
+    if (!latestRootVerification.verified) update.corrupted = true; // once corrupted, the tree stays flagged as such
+
+    const doc = await this.db.updateDoc(
+      COLLECTIONS.METADATA,
+      { _id: 1 }, // 'match all' (within our one document)
+      { $set: update },
+    );
+
+    return doc;
+  }
+
+  /**
+  Record an integrity error (an event which contradicts the value of a leaf we've already stored), and flag the tree as corrupted
+  @param {object} integrityError - { leafIndex, storedValue, conflictingValue, transactionHash, logIndex }
+  */
+  async insertIntegrityError(integrityError) {
+    logger.debug('src/db/service/metadata.service insertIntegrityError()');
+
+    const doc = await this.db.updateDoc(
+      COLLECTIONS.METADATA,
+      { _id: 1 }, // 'match all' (within our one document)
+      {
+        $push: { integrityErrors: { ...integrityError, detectedAt: new Date() } },
+        $set: { corrupted: true },
+      },
+    );
+
+    return doc;
+  }
+
+  /**
+  Update the latestFilteredBlock (the polling filter's cursor) in the tree's metadata
+  @param {object} data
+  */
+  async updateLatestFilteredBlock(data) {
+    logger.debug('src/db/service/metadata.service updateLatestFilteredBlock()');
+    const { latestFilteredBlock } = metadataMapper(data);
+    if (latestFilteredBlock === undefined) return null;
+
+    const doc = await this.db.updateDoc(
+      COLLECTIONS.METADATA,
+      { _id: 1 }, // 'match all' (within our one document)
+      { $set: { latestFilteredBlock } },
+    );
+
+    return doc;
+  }
+
+  /**
+  Insert the chain which the tree's leaves are filtered from into the tree's metadata
+  @param {object} data - { chain: { chainId, genesisBlockHash } }
+  */
+  async insertChain(data) {
+    logger.debug('src/db/service/metadata.service insertChain()');
+    const { chain } = metadataMapper(data);
+    if (chain === undefined) return null;
+
+    const doc = await this.db.updateDoc(
+      COLLECTIONS.METADATA,
+      { _id: 1 }, // 'match all' (within our one document)
+      { $set: { chain } },
+      { upsert: true },
+    );
+
+    return doc;
+  }
+
+  /**
+  Insert the tree's hasher into the tree's metadata
+  @param {object} data - { hasher: { hashType, curve } }
+  */
+  async insertHasher(data) {
+    logger.debug('src/db/service/metadata.service insertHasher()');
+    const { hasher } = metadataMapper(data);
+    if (hasher === undefined) return null;
+
+    const doc = await this.db.updateDoc(
+      COLLECTIONS.METADATA,
+      { _id: 1 }, // 'match all' (within our one document)
+      { $set: { hasher } },
+      { upsert: true },
+    );
+
+    return doc;
+  }
+
   /**
   Get all metadata for the tree
   @returns {object} the tree metadata object
@@ -175,6 +290,23 @@ export default class MetadataService {
     return doc;
   }
 
+  /**
+  Get the history of the contracts which have emitted the tree's leaves
+  @returns {object} the { contractAddressHistory }
+  */
+  async getContractAddressHistory() {
+    logger.debug('src/db/service/metadata.service getContractAddressHistory()');
+
+    let doc = await this.db.getDoc(
+      COLLECTIONS.METADATA,
+      { _id: 1 }, // 'match all' (within our one document)
+      ['contractAddressHistory', '-_id'], // return only the 'contractAddressHistory' key (and exclude the _id key)
+    );
+    doc = doc || {};
+
+    return doc;
+  }
+
   /**
   Get the contractInterface relating to the MerkleTree contract
   @returns {object} the { contractInterface }
@@ -229,4 +361,55 @@ export default class MetadataService {
 
     return doc;
   }
+
+  /**
+  Get the latestFilteredBlock (the polling filter's cursor) for the tree
+  @returns {object} the { latestFilteredBlock }
+  */
+  async getLatestFilteredBlock() {
+    logger.debug('src/db/service/metadata.service getLatestFilteredBlock()');
+
+    let doc = await this.db.getDoc(
+      COLLECTIONS.METADATA,
+      { _id: 1 }, // 'match all' (within our one document)
+      ['latestFilteredBlock', '-_id'], // return only the 'latestFilteredBlock' key (and exclude the _id key)
+    );
+    doc = doc || {};
+
+    return doc;
+  }
+
+  /**
+  Get the chain which the tree's leaves are filtered from
+  @returns {object} the { chain: { chainId, genesisBlockHash } }
+  */
+  async getChain() {
+    logger.debug('src/db/service/metadata.service getChain()');
+
+    let doc = await this.db.getDoc(
+      COLLECTIONS.METADATA,
+      { _id: 1 }, // 'match all' (within our one document)
+      ['chain', '-_id'], // return only the 'chain' key (and exclude the _id key)
+    );
+    doc = doc || {};
+
+    return doc;
+  }
+
+  /**
+  Get the tree's hasher
+  @returns {object} the { hasher: { hashType, curve } }
+  */
+  async getHasher() {
+    logger.debug('src/db/service/metadata.service getHasher()');
+
+    let doc = await this.db.getDoc(
+      COLLECTIONS.METADATA,
+      { _id: 1 }, // 'match all' (within our one document)
+      ['hasher', '-_id'], // return only the 'hasher' key (and exclude the _id key)
+    );
+    doc = doc || {};
+
+    return doc;
+  }
 }
@@ -80,6 +80,30 @@ export default class NodeService {
     return dbResponse;
   }
 
+  // DELETES
+
+  /**
+  Delete many nodes (not leaves), within several ranges of nodeIndices. Nodes are only ever deleted if they were calculated from leaves which have since been reorganised out of the blockchain.
+  @param {array} nodeIndexRanges - an array of [minIndex, maxIndex] pairs (inclusive)
+  */
+  async deleteNodesByNodeIndexRanges(nodeIndexRanges) {
+    logger.debug('src/db/service/node.service deleteNodesByNodeIndexRanges()');
+    logger.silly(`nodeIndexRanges: ${JSON.stringify(nodeIndexRanges, null, 2)}`);
+
+    const bulkDeletes = nodeIndexRanges.map(([minIndex, maxIndex]) => ({
+      deleteMany: {
+        filter: {
+          nodeIndex: { $gte: minIndex, $lte: maxIndex },
+          leafIndex: { $exists: false }, // never delete leaves this way
+        },
+      },
+    }));
+
+    const dbResponse = await this.db.bulkWrite(COLLECTIONS.NODE, bulkDeletes);
+
+    return dbResponse;
+  }
+
   // GETTERS
 
   // GETTERS FOR NODES
@@ -0,0 +1,77 @@
+/**
+ * @module record.service.js
+ * @desc orchestrates inserts to and gets from a named collection of 'records' (the params of auxiliary events, such as nullifiers)
+ */
+
+import { recordMapper } from '../mappers';
+import logger from '../../logger';
+
+export default class RecordService {
+  /**
+  @param {object} _db
+  @param {string} collection - the name of the collection of records (as given in the user's config)
+  */
+  constructor(_db, collection) {
+    this.db = _db;
+    this.modelName = _db.getRecordModelName(collection);
+  }
+
+  // INSERTS
+
+  /**
+  Record the params of an event (an event which is seen twice is only recorded once; it's identified by its transactionHash and logIndex)
+  @param {object} record - { eventName, blockNumber, blockHash, blockTimestamp, transactionHash, logIndex, ...params }
+  */
+  async insertRecord(record) {
+    logger.debug('src/db/service/record.service insertRecord()');
+    const mappedData = recordMapper(record);
+    logger.silly(`data after mapping: ${JSON.stringify(mappedData, null, 2)}`);
+
+    const { transactionHash, logIndex } = mappedData;
+    const dbResponse = await this.db.updateDoc(
+      this.modelName,
+      { transactionHash, logIndex },
+      { $set: mappedData },
+      { upsert: true },
+    );
+
+    return dbResponse;
+  }
+
+  // DELETES
+
+  /**
+  Delete all records from (and including) a particular block. Records are only ever deleted if the blocks in which they were emitted have been reorganised out of the blockchain.
+  @param {number} blockNumber
+  @returns {number} the number of records which were deleted
+  */
+  async deleteRecordsFromBlock(blockNumber) {
+    logger.debug('src/db/service/record.service deleteRecordsFromBlock()');
+
+    const { deletedCount } = await this.db.deleteMany(this.modelName, {
+      blockNumber: { $gte: blockNumber },
+    });
+
+    return deletedCount;
+  }
+
+  // GETTERS
+
+  /**
+  Get the records which match a query, in the order in which their events were emitted
+  @param {object} query - e.g. { nullifier: '0xabc123..' }
+  @returns {array} an array of record objects
+  */
+  async getRecords(query = {}) {
+    logger.debug('src/db/service/record.service getRecords()');
+
+    const docs = await this.db.getDocs(
+      this.modelName,
+      query,
+      null, // don't filter the output
+      { blockNumber: 1, logIndex: 1 }, // sort by the events' positions in the blockchain
+    );
+
+    return docs;
+  }
+}
@@ -6,68 +6,316 @@
 
 import config from 'config';
 import utilsWeb3 from './utils-web3';
+import Web3 from './web3';
+import reorgController from './reorg-controller';
+import chainController from './chain-controller';
+import contractController from './contract-controller';
+import ingestionQueue from './ingestion-queue';
+import utils from './utils';
 
-import { LeafService, MetadataService } from './db/service';
+import {
+  LeafService,
+  MetadataService,
+  DeadLetterService,
+  EventService,
+  RecordService,
+} from './db/service';
 import logger from './logger';
 
-// global subscriptions object:
+// global subscriptions object (keyed by filterKey, then eventName):
 const subscriptions = {};
 
+// global filters object (keyed by filterKey); so that we can re-filter past events (or resubscribe) for any tree whose filter has been started:
+const filters = {};
+
+// global reorgs object (keyed by filterKey); so that we only handle one chain reorganisation at a time, per tree:
+const reorgs = {};
+
+// functions to call whenever new leaves are added to a tree:
+const newLeavesListeners = [];
+
+/**
+Get a unique key for a tree's filter.
+@param {string} contractName
+@param {string} treeId - optional
+@param {object} deployment - optional - { address, chainId } - (as normalised by the tree's db) selects one of several deployments of the contract
+@returns {string} the filterKey; e.g. 'contractName.treeId@chainId:address'
+*/
+function getFilterKey(contractName, treeId, deployment = {}) {
+  const treeKey =
+    treeId === undefined || treeId === '' ? contractName : `${contractName}.${treeId}`;
+  const { address, chainId } = deployment;
+  const deploymentKey = [chainId, address].filter((part) => part !== undefined).join(':');
+  return deploymentKey === '' ? treeKey : `${treeKey}@${deploymentKey}`;
+}
+
+/**
+Get the names of the events which the user's config says we should filter for.
+@param {string} contractName
+@param {string} treeId - optional
+@returns {array} eventNames
+*/
+function getEventNames(contractName, treeId) {
+  if (treeId === undefined || treeId === '')
+    return Object.keys(config.contracts[contractName].events);
+  return Object.keys(config.contracts[contractName].treeId[treeId].events);
+}
+
+/**
+Get the config of an event which the user's config says we should filter for.
+@param {string} contractName
+@param {string} treeId - optional
+@param {string} eventName
+@returns {object} the event's config: { type, parameters, mapping }
+*/
+function getEventConfig(contractName, treeId, eventName) {
+  if (treeId === undefined || treeId === '')
+    return config.contracts[contractName].events[eventName];
+  return config.contracts[contractName].treeId[treeId].events[eventName];
+}
+
+/**
+Extract the relevant parameters from an event, according to the event's config, and create an eventInstance: {
+  field_0: eventParamValue_0,
+  field_1: eventParamValue_1,
+  ...
+}
+An event's config may include a 'mapping' of each of the fields which its response function needs (e.g. leafIndex, leafValue) to the name (or position) of one of the event's parameters. Otherwise, each of the config's 'parameters' is extracted under its own name.
+@param {object} eventData
+@param {object} eventConfig
+@returns {object} eventInstance
+*/
+function getEventInstance(eventData, eventConfig) {
+  const mapping =
+    eventConfig.mapping ||
+    eventConfig.parameters.reduce((identityMapping, param) => {
+      identityMapping[param] = param; // eslint-disable-line no-param-reassign
+      return identityMapping;
+    }, {});
+
+  const eventInstance = {};
+  Object.keys(mapping).forEach((field) => {
+    eventInstance[field] = eventData.returnValues[mapping[field]];
+  });
+  logger.silly(`eventInstance: ${JSON.stringify(eventInstance, null, 2)}`);
+
+  return eventInstance;
+}
+
+/**
+Get the confirmation depth which the user's config specifies for a tree; i.e. the number of blocks which must be mined on top of a leaf's block, before that leaf may be added to the tree. A treeId's config may override its contract's config.
+@param {string} contractName
+@param {string} treeId - optional
+@returns {number} confirmations (defaults to 0, so that leaves are added to the tree immediately)
+*/
+function getConfirmations(contractName, treeId) {
+  const contractConfig = config.contracts[contractName];
+  if (treeId !== undefined && treeId !== '') {
+    const { confirmations } = contractConfig.treeId[treeId];
+    if (confirmations !== undefined) return confirmations;
+  }
+  return contractConfig.confirmations || 0;
+}
+
+/**
+Register a function to be called whenever new leaves are added to a tree by one of its filter's events (e.g. to trigger a recalculation of the tree).
+@param {function} listener - (db, leafCount) => {...}
+*/
+function onNewLeaves(listener) {
+  newLeavesListeners.push(listener);
+}
+
+/**
+Let the listeners know that new leaves have been added to a tree.
+*/
+function notifyNewLeaves(db, leafCount) {
+  newLeavesListeners.forEach((listener) => listener(db, leafCount));
+}
+
 /**
-TODO: description
+Check whether a leaf emitted in a particular block is still 'pending'; i.e. it isn't yet buried deeply enough in the blockchain to be added to the tree.
+@param {string} contractName
+@param {string} treeId - optional
+@param {number} blockNumber - the block in which the leaf was emitted
+@returns {boolean}
+*/
+async function isPending(contractName, treeId, blockNumber) {
+  const confirmations = getConfirmations(contractName, treeId);
+  if (confirmations === 0 || Web3.isOffline()) return false; // (offline, we can only presume that exported logs are final)
+
+  const currentBlock = await utilsWeb3.getBlockNumber();
+  return currentBlock - blockNumber < confirmations;
+}
+
+/**
+Get the time at which an event's block was mined. Exported logs (see src/import-logs.js) may carry their block's timestamp (in seconds, or as an ISO 8601 time); otherwise, we get it from the blockchain.
+@param {object} eventData
+@returns {Date} or undefined if we're offline and the event doesn't carry its block's timestamp
+*/
+async function getEventBlockTimestamp(eventData) {
+  const { blockNumber, blockHash, blockTimestamp } = eventData;
+  if (blockTimestamp !== undefined) {
+    return Number.isNaN(Number(blockTimestamp))
+      ? new Date(blockTimestamp)
+      : new Date(Number(blockTimestamp) * 1000);
+  }
+  if (Web3.isOffline()) return undefined;
+  return utilsWeb3.getBlockTimestamp(blockHash || blockNumber);
+}
+
+/**
+Compare two leaf values (which might differ in the case of their hex digits).
+*/
+function leafValuesMatch(valueA, valueB) {
+  return String(valueA).toLowerCase() === String(valueB).toLowerCase();
+}
+
+/**
+Record an event which contradicts the value of a leaf we've already stored, and throw an 'IntegrityError'. The error is deliberately loud: the tree can't be trusted until someone has investigated.
+*/
+async function integrityError(db, storedLeaf, conflictingLeaf) {
+  const { leafIndex, transactionHash, logIndex } = conflictingLeaf;
+  const filterKey = getFilterKey(db.contractName, db.treeId, db.deployment);
+  const conflictingEvent = `transactionHash ${transactionHash}, logIndex ${logIndex}`;
+  const storedEvent = `transactionHash ${storedLeaf.transactionHash}, logIndex ${storedLeaf.logIndex}`;
+  const message = `INTEGRITY ERROR for ${filterKey}: the event (${conflictingEvent}) has the leaf value ${conflictingLeaf.value} at leafIndex ${leafIndex}, but the leaf value ${storedLeaf.value} is already stored at that index (from ${storedEvent}). The tree has been flagged as corrupted.`;
+  logger.error(message);
+
+  const metadataService = new MetadataService(db);
+  await metadataService.insertIntegrityError({
+    leafIndex,
+    storedValue: storedLeaf.value,
+    conflictingValue: conflictingLeaf.value,
+    transactionHash,
+    logIndex,
+  });
+
+  const err = new Error(message);
+  err.name = 'IntegrityError';
+  throw err;
+}
+
+/**
+Insert leaves into the tree idempotently. An event which we've already ingested (the same transactionHash and logIndex, with the same leaves) is a no-op; as is a leaf which is already stored with the same value. But a leaf whose value differs from the leaf already stored at its leafIndex raises an 'IntegrityError' (see above).
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {number} treeHeight
+@param {array} leaves - leaf objects (all emitted by the same event, or all confirmed pending leaves)
+@returns {number} the number of leaves which were inserted
+*/
+async function insertLeavesIdempotently(db, treeHeight, leaves) {
+  const leafService = new LeafService(db);
+
+  const storedLeaves = await leafService.getLeavesByLeafIndices(
+    leaves.map((leaf) => leaf.leafIndex),
+  );
+  const storedLeavesByIndex = {};
+  storedLeaves.forEach((storedLeaf) => {
+    storedLeavesByIndex[storedLeaf.leafIndex] = storedLeaf;
+  });
+
+  const newLeaves = [];
+  for (const leaf of leaves) {
+    const storedLeaf = storedLeavesByIndex[leaf.leafIndex];
+    if (!storedLeaf) {
+      newLeaves.push(leaf);
+    } else if (!leafValuesMatch(storedLeaf.value, leaf.value)) {
+      await integrityError(db, storedLeaf, leaf); // eslint-disable-line no-await-in-loop
+    } else if (
+      storedLeaf.transactionHash === leaf.transactionHash &&
+      Number(storedLeaf.logIndex) === Number(leaf.logIndex)
+    ) {
+      logger.debug(
+        `Leaf ${leaf.leafIndex} has already been ingested from the same event. Skipping it.`,
+      );
+    } else {
+      logger.warn(
+        `Leaf ${leaf.leafIndex} has already been stored (with the same value) from a different event (transactionHash ${storedLeaf.transactionHash}, logIndex ${storedLeaf.logIndex}). Skipping it.`,
+      );
+    }
+  }
+
+  if (newLeaves.length > 0) await leafService.insertLeaves(treeHeight, newLeaves);
+  return newLeaves.length;
+}
+
+/**
+Ingest the leaves of an event, unless we've already ingested the event (an event is identified by its transactionHash and logIndex). If we have, its leaves must match those we stored; otherwise an 'IntegrityError' is raised.
+@returns {number} the number of leaves which were inserted
+*/
+async function insertEventLeaves(db, treeHeight, leaves) {
+  const { transactionHash, logIndex } = leaves[0];
+  if (transactionHash !== undefined && logIndex !== undefined) {
+    const leafService = new LeafService(db);
+    const storedLeaves = await leafService.getLeavesByEvent(transactionHash, logIndex);
+    const alreadyIngested =
+      storedLeaves.length === leaves.length &&
+      storedLeaves.every(
+        (storedLeaf, i) =>
+          Number(storedLeaf.leafIndex) === Number(leaves[i].leafIndex) &&
+          leafValuesMatch(storedLeaf.value, leaves[i].value),
+      );
+    if (alreadyIngested) {
+      logger.debug(
+        `The event (transactionHash ${transactionHash}, logIndex ${logIndex}) has already been ingested. Skipping it.`,
+      );
+      return 0;
+    }
+  }
+  // (any leaves of the event which do conflict with stored leaves are caught here:)
+  return insertLeavesIdempotently(db, treeHeight, leaves);
+}
+
+/**
+The response function for 'leaf' events; i.e. events which each add a single leaf to the tree.
+The event's config must map (or name) its parameters as: leafIndex, leafValue, and (optionally) root.
 */
 const newLeafResponseFunction = async (eventObject, args) => {
-  // NEW - function remains the same, for detecting single leaves, but can now specify the event name
-  // NOTE - events must have same parameters as newLeaf / newLeaves
   // We make some hardcoded presumptions about what's contained in the 'args':
   const { db, contractName, treeId } = args;
 
   const eventName = args.eventName === undefined ? 'NewLeaf' : args.eventName; // hardcoded, as inextricably linked to the name of this function.
 
-  let eventParams;
   logger.debug(`eventname: ${eventName}`);
 
-  if (treeId === undefined || treeId === '') {
-    eventParams = config.contracts[contractName].events[eventName].parameters;
-  } else {
-    eventParams = config.contracts[contractName].treeId[treeId].events[eventName].parameters;
-  }
-
   // Now some generic eventObject handling code:
   const { eventData } = eventObject;
-
-  /*
-  extract each relevent event parameter from the eventData and create an eventInstance: {
-    eventParamName_0: eventParamValue_0,
-    eventParamName_1: eventParamValue_1,
-    ...
-  }
-  */
-  const eventInstance = {};
-  eventParams.forEach((param) => {
-    eventInstance[param] = eventData.returnValues[param];
-  });
-  logger.silly(`eventInstance: ${JSON.stringify(eventInstance, null, 2)}`);
+  const eventInstance = getEventInstance(
+    eventData,
+    getEventConfig(contractName, treeId, eventName),
+  );
 
   const metadataService = new MetadataService(db);
   const { treeHeight } = await metadataService.getTreeHeight();
 
   // Now some bespoke code; specific to how our application needs to deal with this eventObject:
   // construct a 'leaf' document to store in the db:
-  const { blockNumber } = eventData;
-  const { leafIndex, leafValue } = eventInstance;
+  const { blockNumber, blockHash, transactionHash, logIndex, address } = eventData;
+  const { leafIndex, leafValue, root } = eventInstance;
+  const blockTimestamp = await getEventBlockTimestamp(eventData);
   const leaf = {
     value: leafValue,
     leafIndex,
     blockNumber,
+    blockHash,
+    blockTimestamp,
+    transactionHash,
+    logIndex,
+    contractAddress: address,
+    root,
   };
 
   const leafService = new LeafService(db);
-  leafService.insertLeaf(treeHeight, leaf); // no need to await this
+  // a leaf which isn't yet buried deeply enough in the blockchain is held as a 'pending' leaf, until it's confirmed:
+  if (await isPending(contractName, treeId, blockNumber))
+    return leafService.insertPendingLeaves(treeHeight, [leaf]);
+  const leafCount = await insertEventLeaves(db, treeHeight, [leaf]);
+  notifyNewLeaves(db, leafCount);
+  return leafCount;
 };
 
 /**
-TODO: description
+The response function for 'leaves' events; i.e. events which each add a batch of leaves to the tree.
+The event's config must map (or name) its parameters as: minLeafIndex, leafValues, and (optionally) root.
 */
 const newLeavesResponseFunction = async (eventObject, args) => {
   // We make some hardcoded presumptions about what's contained in the 'args':
@@ -75,36 +323,21 @@ const newLeavesResponseFunction = async (eventObject, args) => {
 
   const eventName = args.eventName === undefined ? 'NewLeaves' : args.eventName; // hardcoded, as inextricably linked to the name of this function.
 
-  let eventParams;
-
-  if (treeId === undefined || treeId === '') {
-    eventParams = config.contracts[contractName].events[eventName].parameters;
-  } else {
-    eventParams = config.contracts[contractName].treeId[treeId].events[eventName].parameters;
-  }
-
   // Now some generic eventObject handling code:
   const { eventData } = eventObject;
+  const eventInstance = getEventInstance(
+    eventData,
+    getEventConfig(contractName, treeId, eventName),
+  );
 
-  /*
-  extract each relevent event parameter from the eventData and create an eventInstance: {
-    eventParamName_0: eventParamValue_0,
-    eventParamName_1: eventParamValue_1,
-    ...
-  }
-  */
-  const eventInstance = {};
-  eventParams.forEach((param) => {
-    eventInstance[param] = eventData.returnValues[param];
-  });
-  logger.silly(`eventInstance: ${JSON.stringify(eventInstance, null, 2)}`);
   const metadataService = new MetadataService(db);
   const { treeHeight } = await metadataService.getTreeHeight();
 
   // Now some more bespoke code; specific to how our application needs to deal with this eventObject:
   // construct an array of 'leaf' documents to store in the db:
-  const { blockNumber } = eventData;
-  const { minLeafIndex, leafValues } = eventInstance;
+  const { blockNumber, blockHash, transactionHash, logIndex, address } = eventData;
+  const { minLeafIndex, leafValues, root } = eventInstance;
+  const blockTimestamp = await getEventBlockTimestamp(eventData);
 
   const leaves = [];
   let leafIndex;
@@ -114,12 +347,241 @@ const newLeavesResponseFunction = async (eventObject, args) => {
       value: leafValue,
       leafIndex,
       blockNumber,
+      blockHash,
+      blockTimestamp,
+      transactionHash,
+      logIndex, // every leaf of the batch shares the logIndex of the event which emitted them
+      contractAddress: address,
     };
     leaves.push(leaf);
   });
+  // the emitted root is the root of the tree once all of the leaves have been added:
+  if (leaves.length > 0) leaves[leaves.length - 1].root = root;
 
   const leafService = new LeafService(db);
-  leafService.insertLeaves(treeHeight, leaves); // no need to await this
+  // leaves which aren't yet buried deeply enough in the blockchain are held as 'pending' leaves, until they're confirmed:
+  if (await isPending(contractName, treeId, blockNumber))
+    return leafService.insertPendingLeaves(treeHeight, leaves);
+  if (leaves.length === 0) return 0;
+  const leafCount = await insertEventLeaves(db, treeHeight, leaves);
+  notifyNewLeaves(db, leafCount);
+  return leafCount;
+};
+
+/**
+Normalise a record's param into the form in which it's stored (and queried): a string (e.g. a bool is stored as 'true'), with any hex in lower case (so that e.g. an address matches whether or not it's checksummed). An array's elements are normalised in turn.
+@param {*} value - a decoded event param (or a query param)
+@returns {string} (or an array of strings)
+*/
+function normaliseRecordValue(value) {
+  if (Array.isArray(value)) return value.map(normaliseRecordValue);
+  const string = String(value);
+  return utils.isHex(string) ? string.toLowerCase() : string;
+}
+
+/**
+The response function for 'record' events; i.e. auxiliary events (such as nullifiers) whose params are stored in a named collection of 'records', rather than added to the tree.
+The event's config must name the 'collection', and the params to store (as 'parameters', or as a 'mapping').
+*/
+const newRecordResponseFunction = async (eventObject, args) => {
+  // We make some hardcoded presumptions about what's contained in the 'args':
+  const { db, contractName, treeId, eventName } = args;
+
+  // Now some generic eventObject handling code:
+  const { eventData } = eventObject;
+  const eventConfig = getEventConfig(contractName, treeId, eventName);
+  const eventInstance = getEventInstance(eventData, eventConfig);
+  Object.keys(eventInstance).forEach((field) => {
+    eventInstance[field] = normaliseRecordValue(eventInstance[field]);
+  });
+
+  // construct a 'record' document to store in the db:
+  const { blockNumber, blockHash, transactionHash, logIndex } = eventData;
+  const blockTimestamp = await getEventBlockTimestamp(eventData);
+  const record = {
+    ...eventInstance,
+    eventName,
+    blockNumber,
+    blockHash,
+    blockTimestamp,
+    transactionHash,
+    logIndex,
+  };
+
+  const recordService = new RecordService(db, eventConfig.collection);
+  return recordService.insertRecord(record);
+};
+
+/**
+Get the names of the collections of 'records' which the user's config says the tree's 'record' events should be stored in.
+@param {string} contractName
+@param {string} treeId - optional
+@returns {array} collection names
+*/
+function getRecordCollections(contractName, treeId) {
+  const collections = [];
+  getEventNames(contractName, treeId).forEach((eventName) => {
+    const { type, collection } = getEventConfig(contractName, treeId, eventName);
+    if (type === 'record' && !collections.includes(collection)) collections.push(collection);
+  });
+  return collections;
+}
+
+/**
+Get the names of the params which the tree's 'record' events store in a collection (i.e. the fields by which its records may be queried).
+@param {string} contractName
+@param {string} treeId - optional
+@param {string} collection
+@returns {array} param names
+*/
+function getRecordParams(contractName, treeId, collection) {
+  const params = [];
+  getEventNames(contractName, treeId).forEach((eventName) => {
+    const eventConfig = getEventConfig(contractName, treeId, eventName);
+    if (eventConfig.type !== 'record' || eventConfig.collection !== collection) return;
+    const fields = eventConfig.mapping ? Object.keys(eventConfig.mapping) : eventConfig.parameters;
+    fields.forEach((field) => {
+      if (!params.includes(field)) params.push(field);
+    });
+  });
+  return params;
+}
+
+/**
+Delete the tree's records from (and including) a particular block; e.g. because the block has been reorganised out of the canonical chain.
+@returns {number} the number of records which were deleted
+*/
+async function deleteRecordsFromBlock(db, contractName, treeId, blockNumber) {
+  let recordCount = 0;
+  for (const collection of getRecordCollections(contractName, treeId)) {
+    const recordService = new RecordService(db, collection);
+    recordCount += await recordService.deleteRecordsFromBlock(blockNumber); // eslint-disable-line no-await-in-loop
+  }
+  if (recordCount > 0) logger.warn(`Deleted ${recordCount} records from block ${blockNumber}`);
+  return recordCount;
+}
+
+/**
+Handle a chain reorganisation: roll the tree back to the fork point, and then re-filter the blockchain from there, so that the tree's leaves match the canonical chain.
+Reorgs are handled one at a time per tree, so a burst of removed events won't trigger concurrent rollbacks.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {string} contractName
+@param {string} treeId - optional
+@param {number} forkBlock - the first block which is no longer part of the canonical chain
+*/
+async function handleReorg(db, contractName, treeId, forkBlock) {
+  const filterKey = getFilterKey(contractName, treeId, db.deployment);
+  const previousReorg = reorgs[filterKey] || Promise.resolve();
+
+  // (a failed reorg shouldn't prevent us from handling the next one)
+  reorgs[filterKey] = previousReorg
+    .catch(() => {})
+    .then(async () => {
+      logger.warn(`Handling a chain reorganisation for ${filterKey}, from block ${forkBlock}...`);
+      const leafCount = await reorgController.rollbackToBlock(db, forkBlock);
+      const recordCount = await deleteRecordsFromBlock(db, contractName, treeId, forkBlock);
+      if (leafCount === undefined && recordCount === 0) return; // nothing was rolled back
+      const currentBlock = await utilsWeb3.getBlockNumber();
+      await refilter(db, contractName, treeId, forkBlock, currentBlock); // eslint-disable-line no-use-before-define
+    });
+
+  return reorgs[filterKey];
+}
+
+/**
+Check whether any of the tree's leaves have been reorganised out of the canonical chain. If so, handle the reorg.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@returns {boolean} true if a reorg was found (and handled)
+*/
+async function checkForReorg(db) {
+  logger.debug('src/filter-controller checkForReorg()');
+  const forkBlock = await reorgController.findForkBlock(db);
+  if (forkBlock === undefined) return false;
+
+  await handleReorg(db, db.contractName, db.treeId, forkBlock);
+  return true;
+}
+
+/**
+Move any pending leaves which have now reached the required confirmation depth into the tree.
+A pending leaf whose block has since been reorganised out of the canonical chain is discarded instead (the leaf's replacement will be emitted in the new chain).
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@returns {number} the number of leaves which were added to the tree
+*/
+async function confirmPendingLeaves(db) {
+  logger.debug('src/filter-controller confirmPendingLeaves()');
+
+  const leafService = new LeafService(db);
+  const metadataService = new MetadataService(db);
+
+  const confirmations = getConfirmations(db.contractName, db.treeId);
+  const currentBlock = await utilsWeb3.getBlockNumber();
+
+  const pendingLeaves = await leafService.getPendingLeavesToBlock(currentBlock - confirmations);
+  if (pendingLeaves.length === 0) return 0;
+
+  const blockHashes = {}; // keyed by blockNumber; so that we only get each block once
+  const confirmedLeaves = [];
+  for (let i = 0; i < pendingLeaves.length; i += 1) {
+    const {
+      value,
+      leafIndex,
+      blockNumber,
+      blockHash,
+      blockTimestamp,
+      transactionHash,
+      logIndex,
+      contractAddress,
+      root,
+    } = pendingLeaves[i];
+    if (blockHash !== undefined && blockHashes[blockNumber] === undefined) {
+      // eslint-disable-next-line no-await-in-loop
+      const block = await utilsWeb3.getBlock(blockNumber);
+      blockHashes[blockNumber] = block ? block.hash : null;
+    }
+
+    if (blockHash === undefined || blockHash === blockHashes[blockNumber]) {
+      confirmedLeaves.push({
+        value,
+        leafIndex,
+        blockNumber,
+        blockHash,
+        blockTimestamp,
+        transactionHash,
+        logIndex,
+        contractAddress,
+        root,
+      });
+    } else {
+      logger.warn(
+        `Discarding pending leaf ${leafIndex}, because block ${blockNumber} (hash ${blockHash}) is no longer part of the canonical chain.`,
+      );
+    }
+  }
+
+  if (confirmedLeaves.length > 0) {
+    const { treeHeight } = await metadataService.getTreeHeight();
+    const leafCount = await insertLeavesIdempotently(db, treeHeight, confirmedLeaves);
+    notifyNewLeaves(db, leafCount); // (so that they count towards the tree's next background update)
+  }
+
+  await leafService.deletePendingLeavesByLeafIndices(pendingLeaves.map((leaf) => leaf.leafIndex));
+
+  logger.info(
+    `${confirmedLeaves.length} pending leaves have been confirmed and added to the tree.`,
+  );
+
+  return confirmedLeaves.length;
+}
+
+/**
+This function is triggered when an event we've already received is removed from the blockchain (due to a chain reorganisation).
+*/
+const removedEventResponseFunction = async (eventObject, args) => {
+  const { db, contractName, treeId } = args;
+  const { blockNumber } = eventObject.eventData;
+
+  return handleReorg(db, contractName, treeId, blockNumber);
 };
 
 /**
@@ -128,50 +590,196 @@ This function is triggered by the 'event' contract subscription, every time a ne
 */
 const newEventResponder = async (eventObject, responseFunction, responseFunctionArgs = {}) => {
   logger.debug('Responding to New Event...');
-  /*
-    Although this function appears to be redundant (because it's passing data straight through), we retain it for the sake of example. Hopefully it demonstrates most generally how this eventResponder structure can be applied to respond to other events.
-  */
-  responseFunction(eventObject, responseFunctionArgs); // we don't need to await this
+  const { db, contractName, treeId } = responseFunctionArgs;
+  const filterKey = getFilterKey(contractName, treeId, db.deployment);
+  const filter = filters[filterKey];
+  if (!filter || filter.state !== 'running') {
+    // a subscription which outlived its filter (e.g. one which was still being created when the filter was stopped or paused):
+    logger.warn(`Ignoring an event for ${filterKey}, because its filter isn't running.`);
+    return;
+  }
+  seeBlock(filterKey, eventObject.eventData.blockNumber); // eslint-disable-line no-use-before-define
+  if (eventObject.eventData.removed) {
+    // the event has been removed from the blockchain by a chain reorganisation:
+    removedEventResponseFunction(eventObject, responseFunctionArgs).catch((err) =>
+      logger.error(`Failed to handle a chain reorganisation: ${err}`),
+    ); // we don't need to await this
+    return;
+  }
+  // events are ingested one at a time, in order, by the tree's ingestion queue:
+  ingestionQueue.enqueue(filterKey, eventObject, responseFunction, responseFunctionArgs); // we don't need to await this
 };
 
 /**
 Config object for the above response functions.
 Naming convention:
 {
-  eventName: eventNameResponseFunction
+  eventType: responseFunction
 }
+Each event in the user's config declares its 'type': 'leaf', 'leaves', 'record', or 'custom' (in which case the event's config must also provide its own responseFunction).
 */
 const responseFunctions = {
-  NewLeaf: newLeafResponseFunction,
-  NewLeaves: newLeavesResponseFunction,
+  leaf: newLeafResponseFunction,
+  leaves: newLeavesResponseFunction,
+  record: newRecordResponseFunction,
 };
 
 /**
-An 'orchestrator' which oversees the various filtering steps of the filter
-@param {number} blockNumber
+Get the response function for an event, according to the 'type' which the event's config declares.
+@param {string} contractName
+@param {string} treeId - optional
+@param {string} eventName
 */
-async function filterBlock(db, contractName, contractInstance, fromBlock, treeId) {
-  logger.debug(
-    `src/filter-controller filterBlock(db, contractInstance, fromBlock=${fromBlock}, treeId)`,
-  );
-  const metadataService = new MetadataService(db);
+function getResponseFunction(contractName, treeId, eventName) {
+  const eventConfig = getEventConfig(contractName, treeId, eventName);
+  let { type } = eventConfig;
+
+  if (type === undefined) {
+    // For backwards-compatibility, the first of a contract's configured events is presumed to be a 'leaf' event; any others are presumed to be 'leaves' events.
+    type = eventName === getEventNames(contractName, treeId)[0] ? 'leaf' : 'leaves';
+    logger.warn(
+      `No type is configured for the ${eventName} event, so we've presumed it's a '${type}' event. Please add a type to the config.`,
+    );
+  }
+
+  if (type === 'record' && !eventConfig.collection)
+    throw new Error(`The 'record' ${eventName} event's config has no collection.`);
+
+  if (type === 'custom') {
+    if (typeof eventConfig.responseFunction !== 'function')
+      throw new Error(`The 'custom' ${eventName} event's config has no responseFunction.`);
+    return eventConfig.responseFunction;
+  }
+
+  if (!responseFunctions[type])
+    throw new Error(`Unknown type '${type}' for the ${eventName} event.`);
+  return responseFunctions[type];
+}
+
+/**
+Filter a range of blocks for past events, and respond to each of them (in turn, in the order in which they were emitted) with the relevant response function.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {string} contractName
+@param {object} contractInstance - a web3 contract instance
+@param {string} treeId - optional
+@param {number} fromBlock - the first block to filter
+@param {number} toBlock - the last block to filter
+@returns {number} the number of events found
+*/
+async function filterPastEvents(db, contractName, contractInstance, treeId, fromBlock, toBlock) {
+  const filterKey = getFilterKey(contractName, treeId, db.deployment);
+  const eventNames = getEventNames(contractName, treeId);
+  const ingestions = [];
+
+  // if the tree has been migrated to a new contract, each part of the range of blocks is filtered for the events of the contract which was followed at the time:
+  let contractRanges = await contractController.getContractAddressRanges(db, fromBlock, toBlock);
+  if (contractRanges.length === 0)
+    contractRanges = [{ contractAddress: contractInstance.options.address, fromBlock, toBlock }];
+
+  for (const contractRange of contractRanges) {
+    const rangeContractInstance = contractInstance.clone();
+    rangeContractInstance.options.address = contractRange.contractAddress;
+
+    for (const eventName of eventNames) {
+      const responseFunction = getResponseFunction(contractName, treeId, eventName);
+      const responseFunctionArgs = { db, contractName, eventName, treeId };
+
+      // eslint-disable-next-line no-await-in-loop
+      const pastEvents = await utilsWeb3.getPastEvents(
+        rangeContractInstance,
+        eventName,
+        contractRange.fromBlock,
+        contractRange.toBlock,
+      );
 
-  let eventNames;
+      // the ingestion queue sorts the events of all event types into the order in which they were emitted:
+      for (const eventData of pastEvents) {
+        ingestions.push(
+          ingestionQueue.enqueue(filterKey, { eventData }, responseFunction, responseFunctionArgs),
+        );
+      }
+    }
+  }
+  await Promise.all(ingestions);
+
+  return ingestions.length;
+}
+
+/**
+Filter any new blocks for events (one poll of pollForNewEvents, below).
+*/
+async function filterNewBlocks(db, contractName, contractInstance, treeId) {
+  const filterKey = getFilterKey(contractName, treeId, db.deployment);
+  try {
+    await checkForReorg(db);
+
+    const metadataService = new MetadataService(db);
+    const { latestFilteredBlock } = await metadataService.getLatestFilteredBlock();
+    const currentBlock = await utilsWeb3.getBlockNumber();
+
+    for (
+      let fromBlock = latestFilteredBlock + 1;
+      fromBlock <= currentBlock;
+      fromBlock += config.MAX_BLOCK_RANGE
+    ) {
+      const toBlock = Math.min(fromBlock + config.MAX_BLOCK_RANGE - 1, currentBlock);
+
+      // eslint-disable-next-line no-await-in-loop
+      const eventCount = await filterPastEvents(
+        db,
+        contractName,
+        contractInstance,
+        treeId,
+        fromBlock,
+        toBlock,
+      );
+      if (eventCount > 0)
+        logger.info(`Found ${eventCount} new events in blocks ${fromBlock} to ${toBlock}`);
+
+      // eslint-disable-next-line no-await-in-loop
+      await metadataService.updateLatestFilteredBlock({ latestFilteredBlock: toBlock });
+      seeBlock(filterKey, toBlock); // eslint-disable-line no-use-before-define
+    }
+  } catch (err) {
+    logger.warn(
+      `Got a polling error "${err}" whilst filtering for new events - we'll poll again...`,
+    );
+  }
+}
+
+/**
+Poll for new events, for http providers (which can't subscribe to events). We poll every config.EVENT_POLLING_FREQUENCY milliseconds, on our own timer (rather than through utils-poll, which would log every poll), until the filter is stopped.
+Each poll first checks for a chain reorganisation (without a subscription, we aren't told about removed events), and then filters any new blocks for events, in batches of at most config.MAX_BLOCK_RANGE blocks. The tree's latestFilteredBlock metadata is a durable cursor, which we advance after each batch; so that a restarted filter will carry on from where it left off.
+*/
+const pollForNewEvents = async (args) => {
+  const { db, contractName, contractInstance, treeId, filter } = args;
+  const filterKey = getFilterKey(contractName, treeId, db.deployment);
+  if (filters[filterKey] !== filter) return; // the filter has been stopped (or restarted), so this poll can end
+  if (filter.state !== 'paused') await filterNewBlocks(db, contractName, contractInstance, treeId);
+  setTimeout(pollForNewEvents, config.EVENT_POLLING_FREQUENCY, args);
+};
+
+/**
+Initialise a tree's metadata (its height, and the size of its frontier) from the user's config, before any leaves are added.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {string} contractName
+@param {string} treeId - optional
+*/
+async function initialiseTree(db, contractName, treeId) {
+  const metadataService = new MetadataService(db);
 
   // TODO: if possible, make this easier to read and follow. Fewer 'if' statements. Perhaps use 'switch' statements instead?
   if (treeId === undefined || treeId === '') {
-    eventNames = Object.keys(config.contracts[contractName].events);
     if (config.treeHeight !== undefined || config.treeHeight !== '') {
       const { treeHeight } = config;
-      metadataService.insertTreeHeight({ treeHeight });
+      await metadataService.insertTreeHeight({ treeHeight });
     }
   } else {
     const { treeHeightDb } = await metadataService.getTreeHeight();
     const { treeHeight } = config.contracts[contractName].treeId[treeId];
     if (treeHeightDb !== treeHeight && (treeHeight !== undefined || treeHeight !== '')) {
-      metadataService.insertTreeHeight({ treeHeight });
+      await metadataService.insertTreeHeight({ treeHeight });
     }
-    eventNames = Object.keys(config.contracts[contractName].treeId[treeId].events);
   }
 
   const { treeHeight } = await metadataService.getTreeHeight();
@@ -182,13 +790,53 @@ async function filterBlock(db, contractName, contractInstance, fromBlock, treeId
     latestRecalculation.frontier = new Array(treeHeight + 1);
     await metadataService.updateLatestRecalculation({ latestRecalculation });
   }
+}
+
+/**
+An 'orchestrator' which oversees the various filtering steps of the filter
+@param {number} blockNumber
+*/
+async function filterBlock(db, contractName, contractInstance, fromBlock, treeId) {
+  logger.debug(
+    `src/filter-controller filterBlock(db, contractInstance, fromBlock=${fromBlock}, treeId)`,
+  );
+  const metadataService = new MetadataService(db);
+
+  const eventNames = getEventNames(contractName, treeId);
+
+  await initialiseTree(db, contractName, treeId);
+
+  if (config.web3.provider === 'http') {
+    // we can't subscribe to events through an http provider, so we poll for them instead, from the durable cursor (if there is one):
+    const { latestFilteredBlock } = await metadataService.getLatestFilteredBlock();
+    if (latestFilteredBlock === undefined)
+      await metadataService.updateLatestFilteredBlock({ latestFilteredBlock: fromBlock - 1 });
+
+    pollForNewEvents({
+      db,
+      contractName,
+      contractInstance,
+      treeId,
+      filter: filters[getFilterKey(contractName, treeId, db.deployment)],
+    }); // we don't await this, because it polls indefinitely
+    return;
+  }
 
-  eventNames.forEach(async (eventName) => {
+  // a tree which has been migrated to a new contract only follows the new contract from the block of the migration; we catch up on any earlier events from the previous contract(s) first:
+  const [latestContract] = (await contractController.getContractAddressHistory(db)).slice(-1);
+  if (latestContract !== undefined && fromBlock < latestContract.fromBlock) {
+    await refilter(db, contractName, treeId, fromBlock, latestContract.fromBlock - 1); // eslint-disable-line no-use-before-define
+    fromBlock = latestContract.fromBlock; // eslint-disable-line no-param-reassign
+  }
+
+  const filterKey = getFilterKey(contractName, treeId, db.deployment);
+  const filter = filters[filterKey];
+  for (const eventName of eventNames) {
     const responder = newEventResponder;
-    const responseFunction =
-      eventName === eventNames[0] ? responseFunctions.NewLeaf : responseFunctions.NewLeaves;
+    const responseFunction = getResponseFunction(contractName, treeId, eventName);
     const responseFunctionArgs = { db, contractName, eventName, treeId };
 
+    // eslint-disable-next-line no-await-in-loop
     const eventSubscription = await utilsWeb3.subscribeToEvent(
       contractName,
       contractInstance,
@@ -200,8 +848,16 @@ async function filterBlock(db, contractName, contractInstance, fromBlock, treeId
       responseFunctionArgs,
     );
 
-    subscriptions[eventName] = eventSubscription; // keep the subscription object for this event in global memory; to enable 'unsubscribe' in future.
-  });
+    if (filters[filterKey] !== filter || filter.state !== 'running') {
+      // the filter was stopped (or paused, or restarted) whilst we were subscribing; so its subscriptions have already been cancelled, and this one must be too:
+      // eslint-disable-next-line no-await-in-loop
+      await utilsWeb3.unsubscribe(eventSubscription);
+      return;
+    }
+
+    subscriptions[filterKey] = subscriptions[filterKey] || {};
+    subscriptions[filterKey][eventName] = eventSubscription; // keep the subscription object for this event in global memory; to enable 'unsubscribe' in future.
+  }
 }
 
 /**
@@ -255,21 +911,360 @@ async function getFromBlock(db, contractName) {
 
 /**
 Commence filtering
+@param {string} state - optional - 'running' (the default) or 'paused'. A paused filter is registered without subscribing to any events; it catches up on them when it's resumed.
 */
-async function start(db, contractName, contractInstance, treeId) {
+async function start(db, contractName, contractInstance, treeId, state = 'running') {
+  const filterKey = getFilterKey(contractName, treeId, db.deployment);
   try {
     logger.info('Starting filter...');
     // check the fiddly case of having to re-filter any old blocks due to lost information (e.g. due to a system crash).
     const fromBlock = await getFromBlock(db, contractName); // the blockNumber we get is the next WHOLE block to start filtering.
 
-    // Now we filter indefinitely:
-    await filterBlock(db, contractName, contractInstance, fromBlock, treeId);
+    // keep the filter in global memory; to enable re-filtering, resubscribing, pausing and stopping in future:
+    filters[filterKey] = {
+      db,
+      contractName,
+      contractInstance,
+      treeId,
+      fromBlock,
+      state,
+    };
+
+    // Now we filter indefinitely (a polling filter's poll waits whilst the filter is paused):
+    if (state === 'running' || config.web3.provider === 'http')
+      await filterBlock(db, contractName, contractInstance, fromBlock, treeId);
+
     return true;
   } catch (err) {
+    delete filters[filterKey];
     throw new Error(err);
   }
 }
 
+/**
+Re-filter the blockchain for past events, and insert any leaves they contain. This is useful if leaves have gone missing (e.g. due to a system crash whilst the filter's subscriptions were down). Leaves which are already in the db won't be overwritten.
+We request past events in batches of at most config.MAX_BLOCK_RANGE blocks, so as not to overwhelm the node.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {string} contractName
+@param {string} treeId - optional
+@param {number} fromBlock - the first block to re-filter
+@param {number} toBlock - the last block to re-filter
+@returns {boolean} false if we couldn't re-filter (because no filter has been started for this tree)
+*/
+async function refilter(db, contractName, treeId, fromBlock, toBlock) {
+  logger.debug(
+    `src/filter-controller refilter(db, contractName=${contractName}, treeId=${treeId}, fromBlock=${fromBlock}, toBlock=${toBlock})`,
+  );
+  const filterKey = getFilterKey(contractName, treeId, db.deployment);
+  const { contractInstance } = filters[filterKey] || {};
+  if (!contractInstance) {
+    logger.warn(`Unable to re-filter ${filterKey}, because its filter hasn't been started.`);
+    return false;
+  }
+
+  const totalBlocks = toBlock - fromBlock + 1;
+  let eventCount = 0;
+
+  logger.info(`Re-filtering ${totalBlocks} blocks, from block ${fromBlock} to block ${toBlock}...`);
+
+  for (
+    let batchFromBlock = fromBlock;
+    batchFromBlock <= toBlock;
+    batchFromBlock += config.MAX_BLOCK_RANGE
+  ) {
+    const batchToBlock = Math.min(batchFromBlock + config.MAX_BLOCK_RANGE - 1, toBlock);
+
+    // eslint-disable-next-line no-await-in-loop
+    eventCount += await filterPastEvents(
+      db,
+      contractName,
+      contractInstance,
+      treeId,
+      batchFromBlock,
+      batchToBlock,
+    );
+
+    logger.info(
+      `Re-filtered blocks ${fromBlock} to ${batchToBlock} (${Math.floor(
+        ((batchToBlock - fromBlock + 1) / totalBlocks) * 100,
+      )}% complete). ${eventCount} events found so far.`,
+    );
+  }
+
+  return true;
+}
+
+/**
+Record the latest block in which a filter has seen events (or, for a polling filter, the latest block it has filtered).
+@param {string} filterKey
+@param {number} blockNumber
+*/
+function seeBlock(filterKey, blockNumber) {
+  const filter = filters[filterKey];
+  if (filter && !(filter.latestBlockSeen >= blockNumber)) filter.latestBlockSeen = blockNumber;
+}
+
+/**
+Unsubscribe from all of a filter's event subscriptions.
+@param {string} filterKey
+*/
+async function unsubscribeFilter(filterKey) {
+  const eventSubscriptions = subscriptions[filterKey] || {};
+  for (const eventName of Object.keys(eventSubscriptions)) {
+    // eslint-disable-next-line no-await-in-loop
+    await utilsWeb3.unsubscribe(eventSubscriptions[eventName]);
+  }
+  delete subscriptions[filterKey];
+}
+
+/**
+Resubscribe a filter's event subscriptions.
+We first re-filter (in bounded batches) from the block of the tree's latest stored leaf, so that no events which were emitted whilst the filter wasn't subscribed are lost. Then we resubscribe from the current block.
+@param {string} filterKey
+*/
+async function resubscribeFilter(filterKey) {
+  const { db, contractName, contractInstance, treeId } = filters[filterKey];
+
+  // we might have reconnected to a different chain:
+  await chainController.checkChain(db);
+
+  contractInstance.setProvider(Web3.connection().currentProvider); // in case we've reconnected since the contractInstance was created (it would otherwise keep using the old, dead, provider)
+
+  // (the tree's metadata.latestLeaf is only refreshed when the tree is updated, so we ask the leaves themselves; events from the same block are re-filtered, in case we only stored some of them)
+  const leafService = new LeafService(db);
+  const latestLeaf = await leafService.getLatestLeaf();
+  const fromBlock =
+    latestLeaf && latestLeaf.blockNumber !== undefined
+      ? latestLeaf.blockNumber
+      : await getFromBlock(db, contractName);
+  const currentBlock = await utilsWeb3.getBlockNumber();
+
+  // catch up on any events we missed:
+  await refilter(db, contractName, treeId, fromBlock, currentBlock);
+
+  // (the subscription will also pick up any events which were emitted since the re-filter's currentBlock)
+  await filterBlock(db, contractName, contractInstance, currentBlock, treeId);
+  logger.info(`Resubscribed the filter for ${filterKey}`);
+}
+
+/**
+Restart every running filter, after we've reconnected to the blockchain (the old connection's subscriptions died with it).
+*/
+async function resubscribe() {
+  logger.warn('Reconnected to the blockchain. Resubscribing all filters...');
+
+  for (const filterKey of Object.keys(filters)) {
+    if (filters[filterKey].state !== 'running') continue; // eslint-disable-line no-continue
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await resubscribeFilter(filterKey);
+    } catch (err) {
+      logger.error(`Failed to resubscribe the filter for ${filterKey}: ${err}`);
+      if (err.name === 'ChainMismatchError') {
+        // we mustn't filter the wrong chain; the filter can be resumed once we're connected to the right one:
+        logger.error(`Pausing the filter for ${filterKey}`);
+        filters[filterKey].state = 'paused';
+      }
+    }
+  }
+}
+
+/**
+Stop a filter. Its subscriptions (or its poll) are ended, and it's forgotten; so it can be started again afresh (e.g. against a new contract).
+@param {string} contractName
+@param {string} treeId - optional
+@param {object} deployment - optional - { address, chainId }
+@returns {boolean} false if no such filter has been started
+*/
+async function stop(contractName, treeId, deployment) {
+  const filterKey = getFilterKey(contractName, treeId, deployment);
+  if (!filters[filterKey]) return false;
+
+  logger.info(`Stopping the filter for ${filterKey}...`);
+  delete filters[filterKey]; // a polling filter's poll will end when it notices this
+  await unsubscribeFilter(filterKey);
+
+  return true;
+}
+
+/**
+Pause a filter. A paused filter doesn't receive any events, until it's resumed.
+@param {string} contractName
+@param {string} treeId - optional
+@param {object} deployment - optional - { address, chainId }
+@returns {boolean} false if no such filter is running
+*/
+async function pause(contractName, treeId, deployment) {
+  const filterKey = getFilterKey(contractName, treeId, deployment);
+  const filter = filters[filterKey];
+  if (!filter || filter.state !== 'running') return false;
+
+  logger.info(`Pausing the filter for ${filterKey}...`);
+  filter.state = 'paused';
+  await unsubscribeFilter(filterKey);
+
+  return true;
+}
+
+/**
+Resume a paused filter. Any events which were emitted whilst the filter was paused will be caught up on.
+@param {string} contractName
+@param {string} treeId - optional
+@param {object} deployment - optional - { address, chainId }
+@returns {boolean} false if no such filter is paused
+*/
+async function resume(contractName, treeId, deployment) {
+  const filterKey = getFilterKey(contractName, treeId, deployment);
+  const filter = filters[filterKey];
+  if (!filter || filter.state !== 'paused') return false;
+
+  logger.info(`Resuming the filter for ${filterKey}...`);
+  filter.state = 'running';
+  // a polling filter simply carries on polling from its cursor; a subscribing filter needs to resubscribe:
+  if (config.web3.provider !== 'http') await resubscribeFilter(filterKey);
+
+  return true;
+}
+
+/**
+Get a summary of a filter which has been started (and not stopped).
+@param {string} contractName
+@param {string} treeId - optional
+@param {object} deployment - optional - { address, chainId }
+@returns {object} the filter summary; or undefined if no such filter has been started
+*/
+function getFilter(contractName, treeId, deployment) {
+  const filter = filters[getFilterKey(contractName, treeId, deployment)];
+  if (!filter) return undefined;
+
+  const { db, contractInstance, fromBlock, state, latestBlockSeen } = filter;
+  return {
+    contractName,
+    treeId,
+    ...db.deployment,
+    contractAddress: contractInstance.options.address,
+    eventNames: getEventNames(contractName, treeId),
+    fromBlock,
+    latestBlockSeen,
+    state,
+  };
+}
+
+/**
+Get a summary of every filter which has been started (and not stopped).
+@returns {array} an array of filter summaries
+*/
+function getFilters() {
+  return Object.values(filters).map(({ db, contractName, treeId }) =>
+    getFilter(contractName, treeId, db.deployment),
+  );
+}
+
+/**
+Replay events from the tree's dead-letter collection (e.g. once the cause of their failure has been fixed), through the tree's ingestion queue. An event which fails again is moved back into the dead-letter collection.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {array} ids - (optional) the _ids of the dead-letter events to replay. If omitted, all of them are replayed.
+@returns {object} { replayed, failed } - the numbers of events which were (and weren't) ingested
+*/
+async function replayDeadLetters(db, ids) {
+  logger.debug('src/filter-controller replayDeadLetters()');
+  const { contractName, treeId } = db;
+  const filterKey = getFilterKey(contractName, treeId, db.deployment);
+
+  const deadLetterService = new DeadLetterService(db);
+  const deadLetters = await deadLetterService.getDeadLetters(ids);
+
+  let replayed = 0;
+  for (const { _id, eventName, eventData } of deadLetters) {
+    // eslint-disable-next-line no-await-in-loop
+    await deadLetterService.deleteDeadLetter(_id);
+    // eslint-disable-next-line no-await-in-loop
+    const ingested = await ingestionQueue.enqueue(
+      filterKey,
+      { eventData },
+      getResponseFunction(contractName, treeId, eventName),
+      { db, contractName, eventName, treeId },
+    );
+    if (ingested) replayed += 1;
+  }
+  logger.info(`Replayed ${replayed} of ${deadLetters.length} dead-letter events for ${filterKey}`);
+
+  return { replayed, failed: deadLetters.length - replayed };
+}
+
+/**
+Replay the tree's event log (the events which the tree's filter has seen) through the tree's ingestion queue; e.g. to rebuild a fresh tree without re-filtering the blockchain. Events which were removed by a chain reorganisation are skipped, and ingestion is idempotent; so events which are already in the tree are no-ops.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {object} range - (optional) { fromBlock, toBlock } - if omitted, the whole log is replayed
+@returns {object} { replayed, failed } - the numbers of events which were (and weren't) ingested
+*/
+async function replayEvents(db, { fromBlock, toBlock } = {}) {
+  logger.debug('src/filter-controller replayEvents()');
+  const { contractName, treeId } = db;
+  const filterKey = getFilterKey(contractName, treeId, db.deployment);
+  const eventNames = getEventNames(contractName, treeId);
+
+  const eventService = new EventService(db);
+  const events = await eventService.getEvents({ fromBlock, toBlock });
+
+  const ingestions = [];
+  for (const event of events) {
+    const { eventName, status } = event;
+    if (status === 'removed') continue; // eslint-disable-line no-continue
+    if (!eventNames.includes(eventName)) {
+      logger.warn(
+        `The ${eventName} event is no longer in the config for ${filterKey}. Skipping it.`,
+      );
+      continue; // eslint-disable-line no-continue
+    }
+    // reconstruct the event, as web3 would have given it to us:
+    const eventData = {
+      event: eventName,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      address: event.address,
+      raw: event.raw && { data: event.raw.data, topics: [...event.raw.topics] },
+      returnValues: event.returnValues,
+    };
+    ingestions.push(
+      ingestionQueue.enqueue(
+        filterKey,
+        { eventData },
+        getResponseFunction(contractName, treeId, eventName),
+        { db, contractName, eventName, treeId },
+      ),
+    );
+  }
+  const results = await Promise.all(ingestions);
+
+  const replayed = results.filter((ingested) => ingested).length;
+  logger.info(`Replayed ${replayed} of ${results.length} logged events for ${filterKey}`);
+
+  return { replayed, failed: results.length - replayed };
+}
+
+Web3.onReconnect(resubscribe);
+
 export default {
+  getFilterKey,
+  getEventNames,
   start,
+  stop,
+  pause,
+  resume,
+  getFilter,
+  getFilters,
+  refilter,
+  checkForReorg,
+  confirmPendingLeaves,
+  replayDeadLetters,
+  replayEvents,
+  getResponseFunction,
+  getRecordCollections,
+  getRecordParams,
+  normaliseRecordValue,
+  initialiseTree,
+  onNewLeaves,
 };
@@ -0,0 +1,223 @@
+/**
+@module filter-registry.js
+@desc Starts, stops, pauses and resumes event filters, and records them in a persistent registry (the 'filter' collection in mongodb); so that every filter can be resumed when the service restarts.
+*/
+
+import config from 'config';
+import adminDbConnection from './db/common/adminDbConnection';
+import DB from './db/mongodb/db';
+import autoUpdate from './auto-update';
+import chainController from './chain-controller';
+import hasherController from './hasher-controller';
+import contractController from './contract-controller';
+import filterController from './filter-controller';
+import logger from './logger';
+
+import { FilterService } from './db/service';
+
+const { admin } = config.get('mongo');
+
+const alreadyStarted = {}; // keyed by filterKey; initialises as false
+const alreadyStarting = {}; // keyed by filterKey; initialises as false
+
+/**
+Get a db connection which can access the registry (the registry is shared by all trees).
+*/
+function getRegistryDb() {
+  return new DB(adminDbConnection, admin);
+}
+
+/**
+Start an event filter for a tree, and record it in the registry.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {string} contractName
+@param {string} treeId - optional
+@param {string} contractAddress - optional. The address can instead be inferred in many cases.
+@param {object} hasherSpec - optional - { hashType, curve } - the tree's hasher (which can only be chosen when the tree is first started; see hasher-controller.js)
+@param {string} state - optional - 'running' (the default) or 'paused' (e.g. when a paused filter is resumed from the registry, it's started without subscribing to any events)
+@returns {string} a message describing the outcome
+*/
+async function startFilter(
+  db,
+  contractName,
+  treeId,
+  contractAddress,
+  hasherSpec,
+  state = 'running',
+) {
+  const filterKey = filterController.getFilterKey(contractName, treeId, db.deployment);
+
+  if (alreadyStarted[filterKey]) return `filter already started for ${filterKey}`;
+  if (alreadyStarting[filterKey])
+    return `filter is already in the process of being started for ${filterKey}`;
+
+  alreadyStarting[filterKey] = true;
+  logger.info(`starting filter for ${filterKey}`);
+  try {
+    // refuse to start filtering a different chain from the one the tree's leaves came from:
+    await chainController.checkChain(db);
+
+    // the tree's nodes are always hashed with the same hasher:
+    const hasher = await hasherController.initialiseHasher(db, contractName, treeId, hasherSpec);
+
+    // get a web3 contractInstance we can work with:
+    const contractInstance = await contractController.instantiateContract(
+      db,
+      contractName,
+      contractAddress,
+    );
+
+    // start an event filter on this contractInstance:
+    const started = await filterController.start(db, contractName, contractInstance, treeId, state);
+    alreadyStarted[filterKey] = started; // true/false
+
+    // keep the tree up-to-date in the background:
+    if (started) autoUpdate.start(db);
+
+    const { fromBlock } = filterController.getFilter(contractName, treeId, db.deployment);
+    const filterService = new FilterService(getRegistryDb());
+    await filterService.saveFilter({
+      filterKey,
+      contractName,
+      treeId,
+      ...db.deployment,
+      contractAddress: contractInstance.options.address,
+      fromBlock,
+      hashType: hasher.hashType,
+      curve: hasher.curve,
+      state,
+    });
+
+    return 'filter started';
+  } finally {
+    alreadyStarting[filterKey] = false;
+  }
+}
+
+/**
+Stop an event filter, and remove it from the registry.
+@param {string} contractName
+@param {string} treeId - optional
+@param {object} deployment - optional - { address, chainId }
+@returns {boolean} false if no such filter has been started
+*/
+async function stopFilter(contractName, treeId, deployment) {
+  const filterKey = filterController.getFilterKey(contractName, treeId, deployment);
+
+  const stopped = await filterController.stop(contractName, treeId, deployment);
+  if (!stopped) return false;
+
+  alreadyStarted[filterKey] = false;
+  autoUpdate.stop(contractName, treeId, deployment);
+  const filterService = new FilterService(getRegistryDb());
+  await filterService.deleteFilter(filterKey);
+
+  return true;
+}
+
+/**
+Pause an event filter. It will remain paused if the service restarts.
+@param {string} contractName
+@param {string} treeId - optional
+@param {object} deployment - optional - { address, chainId }
+@returns {boolean} false if no such filter is running
+*/
+async function pauseFilter(contractName, treeId, deployment) {
+  const paused = await filterController.pause(contractName, treeId, deployment);
+  if (!paused) return false;
+
+  const filterService = new FilterService(getRegistryDb());
+  await filterService.updateFilterState(
+    filterController.getFilterKey(contractName, treeId, deployment),
+    'paused',
+  );
+
+  return true;
+}
+
+/**
+Resume a paused event filter.
+@param {string} contractName
+@param {string} treeId - optional
+@param {object} deployment - optional - { address, chainId }
+@returns {boolean} false if no such filter is paused
+*/
+async function resumeFilter(contractName, treeId, deployment) {
+  const resumed = await filterController.resume(contractName, treeId, deployment);
+  if (!resumed) return false;
+
+  const filterService = new FilterService(getRegistryDb());
+  await filterService.updateFilterState(
+    filterController.getFilterKey(contractName, treeId, deployment),
+    'running',
+  );
+
+  return true;
+}
+
+/**
+Migrate a tree to a new contract (e.g. a redeployed controller which continues the same tree). The migration is recorded in the tree's contractAddressHistory; and if the tree's filter has been started, it's restarted to follow the new contract from fromBlock.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {string} contractName
+@param {string} treeId - optional
+@param {string} contractAddress - the address of the new contract
+@param {number} fromBlock - the first block from which to follow the new contract
+@returns {array} the tree's updated contractAddressHistory
+*/
+async function migrateFilter(db, contractName, treeId, contractAddress, fromBlock) {
+  const contractAddressHistory = await contractController.migrateContractAddress(
+    db,
+    contractAddress,
+    fromBlock,
+  );
+
+  const filter = filterController.getFilter(contractName, treeId, db.deployment);
+  if (filter) {
+    logger.info(
+      `Restarting the filter for ${filterController.getFilterKey(
+        contractName,
+        treeId,
+        db.deployment,
+      )}, to follow the new contract...`,
+    );
+    await stopFilter(contractName, treeId, db.deployment);
+    await startFilter(db, contractName, treeId, undefined, undefined, filter.state);
+  }
+
+  return contractAddressHistory;
+}
+
+/**
+Resume every filter in the registry (e.g. when the service restarts). Each filter carries on from its tree's latest stored leaf. Filters which were paused are left paused.
+*/
+async function resumeFilters() {
+  const filterService = new FilterService(getRegistryDb());
+  const filters = await filterService.getFilters();
+
+  logger.info(`Resuming ${filters.length} filters from the registry...`);
+
+  for (const { contractName, treeId, address, chainId, contractAddress, state } of filters) {
+    const db = new DB(adminDbConnection, admin, contractName, treeId, { address, chainId });
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await startFilter(db, contractName, treeId, contractAddress, undefined, state);
+    } catch (err) {
+      logger.error(
+        `Failed to resume the filter for ${filterController.getFilterKey(
+          contractName,
+          treeId,
+          db.deployment,
+        )}: ${err}`,
+      );
+    }
+  }
+}
+
+export default {
+  startFilter,
+  stopFilter,
+  pauseFilter,
+  resumeFilter,
+  migrateFilter,
+  resumeFilters,
+};
@@ -0,0 +1,105 @@
+/**
+@module hasher-controller.js
+@desc Chooses each tree's hasher (see hashers.js), and records it in the tree's metadata when the tree is first started; so that the tree's nodes are always calculated with the same hash function, whichever HASH_TYPE this instance of the service was started with.
+A tree's hasher is chosen from (in order of precedence):
+- the /start request's { hashType, curve };
+- config.contracts[contractName].treeId[treeId] { hashType, curve };
+- config.contracts[contractName] { hashType, curve };
+- the process-wide HASH_TYPE and CURVE environment variables.
+*/
+
+import config from 'config';
+import hashers from './hashers';
+import logger from './logger';
+
+import { MetadataService } from './db/service';
+
+/**
+Get the hasher which the config asks for, for a tree.
+@param {string} contractName
+@param {string} treeId - optional
+@returns {object} { hashType, curve }; or undefined if the config doesn't specify one (in which case the process-wide hasher is used)
+*/
+function getConfiguredHasherSpec(contractName, treeId) {
+  const contractConfig = (config.contracts && config.contracts[contractName]) || {};
+  const treeConfig =
+    treeId !== undefined && treeId !== '' && contractConfig.treeId
+      ? contractConfig.treeId[treeId] || {}
+      : {};
+
+  const { hashType, curve } = treeConfig.hashType !== undefined ? treeConfig : contractConfig;
+  return hashType !== undefined ? { hashType, curve } : undefined;
+}
+
+async function recordHasher(metadataService, { hashType, curve }) {
+  logger.info(`Recording the tree's hasher (${hashType} ${curve || ''}) in its metadata...`);
+  await metadataService.insertHasher({ hasher: { hashType, ...(curve && { curve }) } });
+}
+
+/**
+Choose a tree's hasher, and record it in the tree's metadata (if it hasn't been chosen already). A tree's hasher can't be changed once it's been chosen (its nodes would no longer match its root).
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {string} contractName
+@param {string} treeId - optional
+@param {object} requestedHasherSpec - optional - { hashType, curve }
+@returns {object} the tree's hasher
+*/
+async function initialiseHasher(db, contractName, treeId, requestedHasherSpec = {}) {
+  logger.debug('src/hasher-controller initialiseHasher()');
+  const metadataService = new MetadataService(db);
+  const { hasher: storedHasherSpec } = await metadataService.getHasher();
+
+  const requestedHasher =
+    requestedHasherSpec.hashType !== undefined ? hashers.getHasher(requestedHasherSpec) : undefined;
+
+  let storedHasher;
+  if (storedHasherSpec && storedHasherSpec.hashType !== undefined) {
+    storedHasher = hashers.getHasher(storedHasherSpec);
+  } else {
+    // a tree which was calculated before trees recorded their hashers was hashed with the process-wide hasher:
+    const { latestRecalculation } = await metadataService.getLatestRecalculation();
+    if (latestRecalculation && latestRecalculation.root !== undefined) {
+      storedHasher = hashers.getDefaultHasher();
+      await recordHasher(metadataService, storedHasher);
+    }
+  }
+
+  if (storedHasher) {
+    if (requestedHasher && requestedHasher !== storedHasher) {
+      const err = new Error(
+        `The tree's nodes are hashed with ${storedHasher.hashType} ${
+          storedHasher.curve || ''
+        }, so it can't be changed to ${requestedHasher.hashType} ${requestedHasher.curve || ''}.`,
+      );
+      err.status = 409;
+      throw err;
+    }
+    return storedHasher;
+  }
+
+  const configuredHasherSpec = getConfiguredHasherSpec(contractName, treeId);
+  const hasher =
+    requestedHasher ||
+    (configuredHasherSpec ? hashers.getHasher(configuredHasherSpec) : hashers.getDefaultHasher());
+
+  await recordHasher(metadataService, hasher);
+  return hasher;
+}
+
+/**
+Get a tree's hasher. (A tree which was started before trees recorded their hashers uses the process-wide hasher.)
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@returns {object} the tree's hasher
+*/
+async function getTreeHasher(db) {
+  const metadataService = new MetadataService(db);
+  const { hasher: hasherSpec } = await metadataService.getHasher();
+  return hasherSpec && hasherSpec.hashType !== undefined
+    ? hashers.getHasher(hasherSpec)
+    : hashers.getDefaultHasher();
+}
+
+export default {
+  initialiseHasher,
+  getTreeHasher,
+};
@@ -0,0 +1,96 @@
+/**
+@module hashers.js
+@desc A registry of the hash functions with which a tree's nodes can be calculated. Each tree chooses its hasher by { hashType, curve } (see hasher-controller.js), so that one instance of this service can serve trees of different hash types side by side.
+A hasher is { hashType, curve, hash, nodeHashLength, truncate, zero }:
+- hash(...items) - hashes the (hex) values of a node's children into the node's (full, hex) value;
+- nodeHashLength - the width of the tree's nodes, in bytes;
+- truncate(nodeValueFull) - truncates a full hash (or a leaf's value), so that it 'fits' into the next hash up the tree;
+- zero - the value of an empty node.
+*/
+
+import config from 'config';
+import utils from './utils';
+
+const hashers = {}; // keyed by 'hashType' (the hash type's default curve) or by 'hashType_curve'
+
+function getHasherKey(hashType, curve) {
+  return curve ? `${hashType}_${curve}` : hashType;
+}
+
+/**
+Add a hasher to the registry. The first curve to be registered for a hashType is that hashType's default curve.
+@param {string} hashType - e.g. 'mimc'
+@param {string} curve - (optional) e.g. 'BLS12_377'
+@param {object} hasher - { hash, nodeHashLength, truncate, zero } - by default, a node is truncated to its right-most nodeHashLength bytes, and the zero is nodeHashLength zero bytes
+*/
+function registerHasher(hashType, curve, { hash, nodeHashLength, truncate, zero }) {
+  const hasher = {
+    hashType,
+    ...(curve && { curve }),
+    hash,
+    nodeHashLength,
+    truncate:
+      truncate ||
+      ((nodeValueFull) => `0x${utils.strip0x(nodeValueFull).slice(-nodeHashLength * 2)}`),
+    zero: zero !== undefined ? zero : `0x${'00'.repeat(nodeHashLength)}`,
+  };
+  hashers[getHasherKey(hashType, curve)] = hasher;
+  if (curve && !hashers[hashType]) hashers[hashType] = hasher;
+}
+
+/**
+Get a hasher from the registry.
+@param {object} hasherSpec - { hashType, curve } - (curve is optional; each hashType has a default curve)
+@returns {object} the hasher
+*/
+function getHasher({ hashType, curve } = {}) {
+  let hasher = hashers[getHasherKey(hashType, curve)];
+  if (!hasher && hashers[hashType] && !hashers[hashType].curve) hasher = hashers[hashType]; // (e.g. sha isn't over a curve, so the curve is irrelevant)
+  if (!hasher) {
+    const err = new Error(
+      `There is no '${hashType}' hasher${
+        curve ? ` over the curve ${curve}` : ''
+      }. Known hashers: ${Object.keys(hashers).join(', ')}`,
+    );
+    err.status = 400;
+    throw err;
+  }
+  return hasher;
+}
+
+/**
+The process-wide hasher, which is set by the HASH_TYPE and CURVE environment variables (see config/default.js). It's used by any tree which doesn't specify its own.
+@returns {object} the hasher
+*/
+function getDefaultHasher() {
+  return getHasher({ hashType: config.HASH_TYPE || 'sha', curve: config.CURVE });
+}
+
+registerHasher('sha', undefined, { hash: utils.shaHash, nodeHashLength: 27 });
+registerHasher('keccak', undefined, { hash: utils.keccakHash, nodeHashLength: 32 });
+registerHasher('mimc', 'ALT_BN_254', {
+  hash: (...items) => utils.mimcHashWithCurve('ALT_BN_254', ...items),
+  nodeHashLength: 32,
+});
+registerHasher('mimc', 'BLS12_377', {
+  hash: (...items) => utils.mimcHashWithCurve('BLS12_377', ...items),
+  nodeHashLength: 32,
+});
+registerHasher('mimc', 'BW6_761', {
+  hash: (...items) => utils.mimcHashWithCurve('BW6_761', ...items),
+  nodeHashLength: 48,
+});
+registerHasher('poseidon', 'BN254', {
+  hash: (...items) => utils.poseidonHashWithCurve('BN254', ...items),
+  nodeHashLength: 32,
+});
+registerHasher('poseidon', 'BLS12_377', {
+  hash: (...items) => utils.poseidonHashWithCurve('BLS12_377', ...items),
+  nodeHashLength: 32,
+});
+
+export default {
+  registerHasher,
+  getHasher,
+  getDefaultHasher,
+};
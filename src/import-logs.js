@@ -0,0 +1,188 @@
+/**
+@module import-logs.js
+@desc Builds a tree from an exported set of logs, without any blockchain connection (e.g. for air-gapped auditors, who need to reproduce a tree's roots locally).
+The logs are ingested through exactly the same path as the filter's events (the tree's ingestion queue, and the response function which the config declares for each event). A file can contain:
+- NDJSON (one log per line); or
+- a JSON array of logs; or
+- an eth_getLogs JSON-RPC response ({ jsonrpc, id, result: [...] }).
+Each log can be either a web3 event object (with 'event' and 'returnValues'), or a raw log (with 'topics' and 'data'), which is decoded with the contract's abi. A log may also carry its block's timestamp, as 'blockTimestamp' (in seconds, or as an ISO 8601 time).
+
+Usage (from the /app directory, with mongodb running):
+
+BLOCKCHAIN_PROVIDER=offline npx babel-node ./src/import-logs.js <logsFile> <contractName> [treeId]
+*/
+
+import fs from 'fs';
+import config from 'config';
+import adminDbConnection from './db/common/adminDbConnection';
+import DB from './db/mongodb/db';
+import Web3 from './web3';
+import utilsWeb3 from './utils-web3';
+import filterController from './filter-controller';
+import hasherController from './hasher-controller';
+import ingestionQueue from './ingestion-queue';
+import merkleTreeController from './merkle-tree-controller';
+import logger from './logger';
+
+const { admin } = config.get('mongo');
+
+/**
+Read the logs from an exported file.
+@param {string} path
+@returns {array} an array of logs
+*/
+function readLogs(path) {
+  const contents = fs.readFileSync(path, 'utf8');
+  try {
+    const json = JSON.parse(contents);
+    if (Array.isArray(json)) return json;
+    if (Array.isArray(json.result)) return json.result; // an eth_getLogs response
+    return [json]; // an NDJSON file with a single line
+  } catch (err) {
+    // NDJSON:
+    return contents
+      .split('\n')
+      .filter((line) => line.trim() !== '')
+      .map((line) => JSON.parse(line));
+  }
+}
+
+/**
+eth_getLogs gives hex numbers, whereas web3 event objects give decimal numbers.
+*/
+function toNumber(number) {
+  return typeof number === 'string' && number.startsWith('0x')
+    ? parseInt(number, 16)
+    : Number(number);
+}
+
+/**
+Convert a log into the eventData which web3 would have given us. A raw log is decoded with the contract's abi.
+@param {object} log
+@param {object} eventInterfaces - the abi entries of the tree's events, keyed by their topic signatures
+@returns {object} eventData; or undefined if the log isn't one of the tree's events
+*/
+function logToEventData(log, eventInterfaces) {
+  const web3 = Web3.connect();
+  const { blockNumber, blockHash, transactionHash, logIndex, address, blockTimestamp } = log;
+
+  let event;
+  let returnValues;
+  let raw;
+  if (log.returnValues) {
+    // already decoded (a web3 event object):
+    ({ event, returnValues, raw } = log);
+    if (!Object.values(eventInterfaces).some(({ name }) => name === event)) return undefined;
+  } else {
+    const { topics, data } = log;
+    const eventInterface = eventInterfaces[topics[0]];
+    if (!eventInterface) return undefined;
+    event = eventInterface.name;
+    returnValues = web3.eth.abi.decodeLog(eventInterface.inputs, data, topics.slice(1)); // (topics[0] is the event's signature)
+    raw = { data, topics };
+  }
+
+  return {
+    event,
+    returnValues,
+    raw,
+    blockNumber: toNumber(blockNumber),
+    blockHash,
+    transactionHash,
+    logIndex: toNumber(logIndex),
+    address,
+    ...(blockTimestamp !== undefined && { blockTimestamp }),
+  };
+}
+
+/**
+Import an exported set of logs into a tree.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {string} contractName
+@param {string} treeId - optional
+@param {array} logs
+@returns {object} { imported, failed, skipped } - the numbers of logs which were (and weren't) ingested, and which weren't the tree's events
+*/
+async function importLogs(db, contractName, treeId, logs) {
+  const web3 = Web3.connect();
+  const filterKey = filterController.getFilterKey(contractName, treeId, db.deployment);
+  const eventNames = filterController.getEventNames(contractName, treeId);
+
+  const { abi } = utilsWeb3.getContractInterface(contractName);
+  const eventInterfaces = {};
+  abi
+    .filter(({ type, name }) => type === 'event' && eventNames.includes(name))
+    .forEach((eventInterface) => {
+      eventInterfaces[web3.eth.abi.encodeEventSignature(eventInterface)] = eventInterface;
+    });
+
+  await hasherController.initialiseHasher(db, contractName, treeId);
+  await filterController.initialiseTree(db, contractName, treeId);
+
+  let skipped = 0;
+  const ingestions = [];
+  for (const log of logs) {
+    const eventData = log.removed ? undefined : logToEventData(log, eventInterfaces);
+    if (!eventData) {
+      skipped += 1;
+      continue; // eslint-disable-line no-continue
+    }
+    const eventName = eventData.event;
+    ingestions.push(
+      ingestionQueue.enqueue(
+        filterKey,
+        { eventData },
+        filterController.getResponseFunction(contractName, treeId, eventName),
+        { db, contractName, eventName, treeId },
+      ),
+    );
+  }
+  const results = await Promise.all(ingestions);
+
+  const imported = results.filter((ingested) => ingested).length;
+  return { imported, failed: results.length - imported, skipped };
+}
+
+async function main() {
+  const [path, contractName, treeId] = process.argv.slice(2);
+  if (!path || !contractName) {
+    logger.error(
+      'Usage: BLOCKCHAIN_PROVIDER=offline npx babel-node ./src/import-logs.js <logsFile> <contractName> [treeId]',
+    );
+    process.exit(1);
+  }
+  if (!Web3.isOffline()) {
+    logger.error(
+      'Logs are imported without any blockchain connection. Please set BLOCKCHAIN_PROVIDER=offline.',
+    );
+    process.exit(1);
+  }
+
+  const db = new DB(adminDbConnection, admin, contractName, treeId);
+  const logs = readLogs(path);
+  logger.info(`Importing ${logs.length} logs from ${path} into ${contractName} ${treeId || ''}...`);
+
+  const { imported, failed, skipped } = await importLogs(db, contractName, treeId, logs);
+  logger.info(
+    `Imported ${imported} events (${failed} failed - see the dead-letter collection; ${skipped} logs weren't the tree's events)`,
+  );
+
+  const { latestRecalculation } = await merkleTreeController.update(db);
+  logger.info(
+    `The tree's root is ${latestRecalculation.root} (after leafIndex ${latestRecalculation.leafIndex})`,
+  );
+
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    logger.error(err);
+    process.exit(1);
+  });
+}
+
+export default {
+  readLogs,
+  importLogs,
+};
@@ -9,6 +9,7 @@ import cors from 'cors';
 import logger from './logger';
 import Web3 from './web3';
 import autostart from './auto-start';
+import filterRegistry from './filter-registry';
 
 import {
   assignDbConnection,
@@ -18,7 +19,15 @@ import {
   logError,
 } from './middleware';
 
-import { leafRoutes, nodeRoutes, metadataRoutes, merkleTreeRoutes } from './routes';
+import {
+  leafRoutes,
+  nodeRoutes,
+  metadataRoutes,
+  merkleTreeRoutes,
+  deadLetterRoutes,
+  eventRoutes,
+  recordRoutes,
+} from './routes';
 
 Web3.connect();
 const app = express();
@@ -53,6 +62,9 @@ leafRoutes(router);
 nodeRoutes(router);
 metadataRoutes(router);
 merkleTreeRoutes(router);
+deadLetterRoutes(router);
+eventRoutes(router);
+recordRoutes(router);
 
 // Response
 app.use(formatResponse);
@@ -62,6 +74,13 @@ app.use(logError);
 
 const server = app.listen(80, '0.0.0.0', () => {
   logger.info('merkle-tree RESTful API server started on ::: 80');
-  if (process.env.AUTOSTART) autostart();
+  // resume every filter which was running before we restarted (and then start any others the config asks for):
+  filterRegistry
+    .resumeFilters()
+    .then(() => {
+      if (process.env.AUTOSTART) return autostart();
+      return null;
+    })
+    .catch((err) => logger.error(err));
 });
 server.timeout = 0;
@@ -0,0 +1,158 @@
+/**
+@module ingestion-queue.js
+@desc A queue (one per tree) through which every incoming event is ingested. Events are processed one at a time, in the order in which they were emitted (by blockNumber, then logIndex). An event whose ingestion fails with a transient mongodb error is retried; an event which can't be ingested is moved into the tree's 'deadLetter' collection, to be inspected and replayed.
+Every event is also recorded (with its processing status) in the tree's 'event' collection.
+*/
+
+import config from 'config';
+import logger from './logger';
+
+import { DeadLetterService, EventService } from './db/service';
+
+const queues = {}; // keyed by filterKey: { events: [...], draining: boolean }
+
+// mongodb errors which are likely to succeed if we try again:
+const transientErrorNames = [
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoTimeoutError',
+  'MongoServerSelectionError',
+  'MongoWriteConcernError',
+];
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+@param {object} err
+@returns {boolean} true if the error is a transient mongodb error, which is worth retrying
+*/
+function isTransientError(err) {
+  if (transientErrorNames.includes(err.name)) return true;
+  return (
+    typeof err.hasErrorLabel === 'function' &&
+    (err.hasErrorLabel('TransientTransactionError') || err.hasErrorLabel('RetryableWriteError'))
+  );
+}
+
+/**
+Sort order for queued events: by blockNumber, then by logIndex.
+*/
+function compareEvents(a, b) {
+  const { eventData: eventDataA } = a.eventObject;
+  const { eventData: eventDataB } = b.eventObject;
+  return (
+    Number(eventDataA.blockNumber) - Number(eventDataB.blockNumber) ||
+    Number(eventDataA.logIndex) - Number(eventDataB.logIndex)
+  );
+}
+
+/**
+Move an event which can't be ingested into the tree's dead-letter collection.
+*/
+async function deadLetter(item, err, attempts) {
+  const { eventObject, responseFunctionArgs } = item;
+  const { db, eventName } = responseFunctionArgs;
+  const { blockNumber, logIndex } = eventObject.eventData;
+
+  logger.error(
+    `Failed to ingest the ${eventName} event at block ${blockNumber} (logIndex ${logIndex}) after ${attempts} attempts: ${err}. Moving it to the dead-letter collection.`,
+  );
+  try {
+    const deadLetterService = new DeadLetterService(db);
+    await deadLetterService.insertDeadLetter({
+      eventName,
+      eventData: eventObject.eventData,
+      error: err.stack || `${err}`,
+      attempts,
+    });
+    const eventService = new EventService(db);
+    await eventService.updateEventStatus(eventObject.eventData, 'failed', `${err}`);
+  } catch (dbErr) {
+    // this is our last resort, so log the whole event, so that it isn't lost:
+    logger.error(
+      `Failed to store the event in the dead-letter collection: ${dbErr}. The event was: ${JSON.stringify(
+        eventObject.eventData,
+      )}`,
+    );
+  }
+}
+
+/**
+Ingest a single event; retrying transient errors with an exponential backoff.
+@returns {boolean} true if the event was ingested; false if it was moved to the dead-letter collection
+*/
+async function processEvent(item) {
+  const { eventObject, responseFunction, responseFunctionArgs } = item;
+  const maxAttempts = config.INGESTION_MAX_ATTEMPTS;
+  const retryDelay = config.INGESTION_RETRY_DELAY;
+
+  const eventService = new EventService(responseFunctionArgs.db);
+  const { eventName } = responseFunctionArgs;
+  const { eventData } = eventObject;
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await eventService.saveEvent({ eventName, eventData });
+      // eslint-disable-next-line no-await-in-loop
+      await responseFunction(eventObject, responseFunctionArgs);
+      // eslint-disable-next-line no-await-in-loop
+      await eventService.updateEventStatus(eventData, 'processed');
+      return true;
+    } catch (err) {
+      if (!isTransientError(err) || attempt >= maxAttempts) {
+        // eslint-disable-next-line no-await-in-loop
+        await deadLetter(item, err, attempt);
+        return false;
+      }
+      const wait = retryDelay * 2 ** (attempt - 1);
+      logger.warn(
+        `Got a transient error "${err}" whilst ingesting a ${eventName} event - retrying in ${wait}ms (attempt ${attempt} of ${maxAttempts})...`,
+      );
+      // eslint-disable-next-line no-await-in-loop
+      await delay(wait);
+    }
+  }
+}
+
+/**
+Process a tree's queued events, one at a time, until the queue is empty.
+*/
+async function drain(queue) {
+  queue.draining = true; // eslint-disable-line no-param-reassign
+  while (queue.events.length > 0) {
+    const item = queue.events.shift();
+    // eslint-disable-next-line no-await-in-loop
+    item.resolve(await processEvent(item));
+  }
+  queue.draining = false; // eslint-disable-line no-param-reassign
+}
+
+/**
+Add an event to a tree's ingestion queue. Events which are waiting in the queue are kept in (blockNumber, logIndex) order.
+@param {string} filterKey - identifies the tree
+@param {object} eventObject - { eventData }
+@param {function} responseFunction - the function which ingests the event
+@param {object} responseFunctionArgs - { db, contractName, eventName, treeId }
+@returns {Promise<boolean>} resolves once the event has been processed: true if it was ingested; false if it was moved to the dead-letter collection
+*/
+function enqueue(filterKey, eventObject, responseFunction, responseFunctionArgs) {
+  queues[filterKey] = queues[filterKey] || { events: [], draining: false };
+  const queue = queues[filterKey];
+
+  return new Promise((resolve) => {
+    const item = { eventObject, responseFunction, responseFunctionArgs, resolve };
+    // insert the event after any queued events which were emitted before it (or at the same position):
+    let index = queue.events.length;
+    while (index > 0 && compareEvents(queue.events[index - 1], item) > 0) index -= 1;
+    queue.events.splice(index, 0, item);
+
+    if (!queue.draining) drain(queue);
+  });
+}
+
+export default {
+  enqueue,
+};
@@ -6,17 +6,25 @@ This module reacts to external API calls routed via ./routes/merkle-tree.js.
 
 import config from 'config';
 import utilsWeb3 from './utils-web3';
+import Web3 from './web3';
+import filterController from './filter-controller';
+import chainController from './chain-controller';
+import hasherController from './hasher-controller';
 import utilsMT from './utils-merkle-tree';
 import logger from './logger';
 
 import { LeafService, NodeService, MetadataService } from './db/service';
 
+// global updates object (keyed by filterKey); so that we only update each tree one at a time:
+const updates = {};
+
 /**
-Check the leaves of the tree are all there.
+Check the leaves of the tree are all there. If any are missing (e.g. due to a system crash), we re-filter the blockchain for them.
 @param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {boolean} refilter - whether to re-filter the blockchain for missing leaves (we only attempt this once per check).
 @return {integer} maxReliableLeafIndex - the left-most reliable leafIndex (by 'reliable' we mean that there are no missing leaves in the db from 0 to this maxReliableLeafIndex). Returns -1 if no leaves exist in the tree yet.
 */
-async function checkLeaves(db) {
+async function checkLeaves(db, refilter = true) {
   logger.debug('src/merkle-tree-controller checkLeaves()');
 
   const leafService = new LeafService(db);
@@ -53,9 +61,15 @@ async function checkLeaves(db) {
 
       fromBlock = latestConsecutiveLeaf.blockNumber;
     } else {
-      // start from scratch:
+      // nothing's reliable, so we'll need to re-filter from scratch:
       fromBlock = config.FILTER_GENESIS_BLOCK_NUMBER;
-      return maxReliableLeafIndex; // the maximum reliable leafIndex is -1; i.e. nothing's reliable. Let's start again.
+    }
+
+    if (Web3.isOffline()) {
+      logger.error(
+        `We can't re-filter for the missing leaves, because we're offline. The tree can only be updated up to leafIndex ${maxReliableLeafIndex}.`,
+      );
+      return maxReliableLeafIndex;
     }
 
     const currentBlock = await utilsWeb3.getBlockNumber();
@@ -71,10 +85,27 @@ async function checkLeaves(db) {
 
       return maxReliableLeafIndex; // return the latest reliable leaf index up to which we can update the tree
     }
-    logger.error(
-      `We need to re-filter from block ${fromBlock}, but this feature hasn't been built yet!`,
+
+    if (!refilter) {
+      logger.error(
+        `Leaves are still missing after re-filtering from block ${fromBlock}. The tree can only be updated up to leafIndex ${maxReliableLeafIndex}.`,
+      );
+      return maxReliableLeafIndex;
+    }
+
+    logger.warn(`We need to re-filter from block ${fromBlock} to recover the missing leaves.`);
+    const refiltered = await filterController.refilter(
+      db,
+      db.contractName,
+      db.treeId,
+      fromBlock,
+      currentBlock,
     );
-    // TODO: re-filter the blockchain for events from this fromBlock.
+
+    if (!refiltered) return maxReliableLeafIndex;
+
+    // check again, now that the missing leaves should have been inserted:
+    return checkLeaves(db, false);
   }
 
   maxReliableLeafIndex = maxLeafIndex;
@@ -98,11 +129,13 @@ async function updateLatestLeaf(db) {
 
   const maxReliableLeaf = await leafService.getLeafByLeafIndex(maxReliableLeafIndex);
 
-  const { blockNumber, leafIndex } = maxReliableLeaf;
+  const { blockNumber, leafIndex, blockTimestamp } = maxReliableLeaf;
 
   const latestLeaf = {
     blockNumber,
     leafIndex,
+    blockTimestamp,
+    updatedAt: new Date(),
   };
 
   await metadataService.updateLatestLeaf({ latestLeaf });
@@ -130,6 +163,7 @@ async function getPathByLeafIndex(db, leafIndex) {
   // get the actual nodes from the db:
   const nodeService = new NodeService(db);
   const nodes = await nodeService.getNodesByNodeIndices(pathIndices);
+  const { zero } = await hasherController.getTreeHasher(db);
 
   logger.debug(`${JSON.stringify(nodes, null, 2)}`);
 
@@ -138,7 +172,7 @@ async function getPathByLeafIndex(db, leafIndex) {
   pathIndices.forEach((nodeIndex, index) => {
     if (nodes[index] === undefined || nodes[index].nodeIndex !== pathIndices[index]) {
       const node = {
-        value: config.ZERO,
+        value: zero,
         nodeIndex,
       };
       // insert the node into the nodes array:
@@ -169,13 +203,14 @@ async function getSiblingPathByLeafIndex(db, leafIndex) {
   // get the actual nodes from the db:
   const nodeService = new NodeService(db);
   const nodes = await nodeService.getNodesByNodeIndices(siblingPathIndices);
+  const { zero } = await hasherController.getTreeHasher(db);
 
   // Check whether some nodeIndices don't yet exist in the db. If they don't, we'll presume their values are zero, and add these to the 'nodes' before returning them.
   // eslint-disable-next-line no-shadow
   siblingPathIndices.forEach((nodeIndex, index) => {
     if (nodes[index] === undefined || nodes[index].nodeIndex !== siblingPathIndices[index]) {
       const node = {
-        value: config.ZERO,
+        value: zero,
         nodeIndex,
       };
       // insert the node into the nodes array:
@@ -186,35 +221,115 @@ async function getSiblingPathByLeafIndex(db, leafIndex) {
   return nodes;
 }
 
-const nodes = [];
-let hashCount = 0;
+/**
+Get a Merkle proof for a given leaf, in the form which Solidity Merkle libraries expect: the siblings' values ordered from the leaf's sibling up to (but excluding) the root; so that a verifier can hash its way up the tree, taking the leafIndex's bits (from least significant) as the left/right positions.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {integer} leafIndex - the index of the leaf for which we are computing the proof
+@returns {object} { leafIndex, leafValue, root, proof } - or a 404 error if the tree has no such leaf yet
+*/
+async function getProofByLeafIndex(db, leafIndex) {
+  logger.debug('src/merkle-tree-controller getProofByLeafIndex()');
+  const leafService = new LeafService(db);
+  const latestLeaf = await leafService.getLatestLeaf();
+  if (!latestLeaf || leafIndex > latestLeaf.leafIndex) {
+    const err = new Error(
+      `There is no leaf ${leafIndex} in the tree (its latest leaf is ${
+        latestLeaf ? latestLeaf.leafIndex : 'none'
+      })`,
+    );
+    err.status = 404;
+    throw err;
+  }
+  const path = await getPathByLeafIndex(db, leafIndex);
+  const siblingPath = await getSiblingPathByLeafIndex(db, leafIndex);
+
+  // both are ordered from the root (nodeIndex 0) down to the leaf's level:
+  const [root, ...siblings] = siblingPath;
+  return {
+    leafIndex,
+    leafValue: path[path.length - 1].value,
+    root: root.value,
+    proof: siblings.reverse().map(({ value }) => value),
+  };
+}
+
+// 'this' is bound to a new buffer for each update, so that updates of different trees can't mix their nodes:
 async function updateNodes(node) {
+  const { nodes } = this;
   logger.silly(`node ${node}`);
   nodes.push(node);
-  hashCount += 1;
-  logger.silly(`hashCount, ${hashCount}`);
+  this.hashCount += 1;
+  logger.silly(`hashCount, ${this.hashCount}`);
   logger.silly(`numberOfHashes, ${this.numberOfHashes}`);
   if (nodes.length === config.BULK_WRITE_BUFFER_SIZE) {
     await this.nodeService.updateNodes(nodes);
     nodes.length = 0; // empty the array to start again
-  } else if (hashCount === this.numberOfHashes) {
+  } else if (this.hashCount === this.numberOfHashes) {
     await this.nodeService.updateNodes(nodes);
     nodes.length = 0; // empty the array to start again
-    hashCount = 0; // reset the count
+    this.hashCount = 0; // reset the count
   }
 }
 
+/**
+Check a root which we've calculated against the root which the contract emitted when the same leaf was added. The result is stored in the tree's metadata; and if the roots don't match, the tree is flagged as corrupted.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {integer} leafIndex - the leafIndex of the latest leaf which was included in the calculation of the root
+@param {string} calculatedRoot
+@param {object} hasher - the tree's hasher
+@returns {boolean} whether the roots match; or undefined if no root was emitted with this leaf (e.g. it's part-way through a NewLeaves batch), so the root can't be verified
+*/
+async function verifyRoot(db, leafIndex, calculatedRoot, hasher) {
+  logger.debug(`src/merkle-tree-controller verifyRoot(db, leafIndex=${leafIndex})`);
+
+  const leafService = new LeafService(db);
+  const metadataService = new MetadataService(db);
+
+  const { root: emittedRoot } = (await leafService.getLeafByLeafIndex(leafIndex)) || {};
+  if (!emittedRoot) {
+    logger.debug(`No root was emitted with leaf ${leafIndex}, so the root can't be verified.`);
+    return undefined;
+  }
+
+  const verified = utilsMT.rootsMatch(calculatedRoot, emittedRoot, hasher);
+  if (verified) {
+    logger.info(`The calculated root for leaf ${leafIndex} matches the emitted root.`);
+  } else {
+    logger.error(
+      `CORRUPTED TREE: the calculated root ${calculatedRoot} for leaf ${leafIndex} doesn't match the root ${emittedRoot} which was emitted by the contract!`,
+    );
+  }
+
+  await metadataService.updateLatestRootVerification({
+    latestRootVerification: { leafIndex, calculatedRoot, emittedRoot, verified },
+  });
+
+  return verified;
+}
+
 /**
 Updates the entire tree based on the latest-stored leaves.
 @param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
 */
-async function update(db) {
-  logger.debug('src/merkle-tree-controller update()');
+async function updateTree(db) {
+  logger.debug('src/merkle-tree-controller updateTree()');
 
   const leafService = new LeafService(db);
   const nodeService = new NodeService(db);
   const metadataService = new MetadataService(db);
 
+  // (offline, we can't check the blockchain; the leaves we have are all we've got)
+  if (!Web3.isOffline()) {
+    // if we're connected to a different chain, its blocks won't match our leaves' blocks; we mustn't mistake that for a reorg:
+    await chainController.checkChain(db);
+
+    // make sure we don't hash any leaves which have been reorganised out of the canonical chain (any reorg is rolled back before we continue):
+    await filterController.checkForReorg(db);
+
+    // only leaves which have reached the required confirmation depth are hashed into the tree:
+    await filterController.confirmPendingLeaves(db);
+  }
+
   // update the metadata db (based on currently stored leaves):
   let { latestLeaf } = (await updateLatestLeaf(db)) || {};
 
@@ -253,13 +368,15 @@ async function update(db) {
     const leaves = await leafService.getLeavesByLeafIndexRange(fromLeafIndex, toLeafIndex);
     const leafValues = leaves.map((leaf) => leaf.value);
     const currentLeafCount = fromLeafIndex;
+    const hasher = await hasherController.getTreeHasher(db);
 
     const [root, newFrontier] = await utilsMT.updateNodes(
       leafValues,
       currentLeafCount,
       frontier,
       treeHeight,
-      updateNodes.bind({ nodeService, numberOfHashes }),
+      updateNodes.bind({ nodeService, numberOfHashes, nodes: [], hashCount: 0 }),
+      hasher,
     );
 
     if (frontier.length !== treeHeight + 1 && treeHeight !== 32) {
@@ -274,6 +391,8 @@ async function update(db) {
     };
     await metadataService.updateLatestRecalculation({ latestRecalculation });
 
+    await verifyRoot(db, toLeafIndex, root, hasher);
+
     // update the metadata db (based on currently stored leaves):
     ({ latestLeaf } = await updateLatestLeaf(db));
   } else {
@@ -285,10 +404,27 @@ async function update(db) {
   return metadata;
 }
 
+/**
+Updates the entire tree based on the latest-stored leaves.
+A tree may be updated by a client (through the /update route) and in the background (see auto-update.js), so updates are handled one at a time per tree; an update which is requested whilst another is in progress will start once that one has finished.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+*/
+async function update(db) {
+  logger.debug('src/merkle-tree-controller update()');
+  const filterKey = filterController.getFilterKey(db.contractName, db.treeId, db.deployment);
+  const previousUpdate = updates[filterKey] || Promise.resolve();
+
+  // (a failed update shouldn't prevent the next one)
+  updates[filterKey] = previousUpdate.catch(() => {}).then(() => updateTree(db));
+
+  return updates[filterKey];
+}
+
 export default {
   checkLeaves,
   updateLatestLeaf,
   getPathByLeafIndex,
   getSiblingPathByLeafIndex,
+  getProofByLeafIndex,
   update,
 };
@@ -4,6 +4,7 @@ import DB from '../db/mongodb/db';
 import logger from '../logger';
 
 const { admin } = config.get('mongo');
+const routesWithoutDb = ['/filters'];
 
 export default async function (req, res, next) {
   logger.debug('src/middleware/assign-db-connection');
@@ -15,6 +16,9 @@ export default async function (req, res, next) {
     )}`,
   );
 
+  // these routes don't relate to any one tree, so don't need a db connection:
+  if (routesWithoutDb.includes(req.path)) return next();
+
   try {
     let contractName = req.body.contractName || req.query.contractName;
     if (contractName === undefined) {
@@ -27,11 +31,14 @@ export default async function (req, res, next) {
     }
     const treeId = req.body.treeId || req.query.treeId;
     logger.silly(`treeId: ${treeId}`);
+    // (optional) select one of several deployments of the contract:
+    const address = req.body.address || req.query.address;
+    const chainId = req.body.chainId || req.query.chainId;
     req.user = {};
     // give all requesters admin privileges:
     req.user.connection = adminDbConnection;
 
-    req.user.db = new DB(req.user.connection, admin, contractName, treeId);
+    req.user.db = new DB(req.user.connection, admin, contractName, treeId, { address, chainId });
 
     return next();
   } catch (err) {
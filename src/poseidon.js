@@ -0,0 +1,156 @@
+/**
+@module poseidon.js
+@desc The Poseidon hash function (https://eprint.iacr.org/2019/458.pdf), for trees whose nodes are hashed inside zk-SNARK circuits (e.g. circom or gnark circuits).
+We only need to hash pairs of nodes, so the permutation has a width of t = 3 (a capacity of 1 element, and a rate of 2 elements).
+The round constants and the MDS matrix are generated with the Grain LFSR, exactly as the reference implementation's generate_parameters_grain.sage does; so over BN254 the hash matches circomlib's poseidon([left, right]). The contracts/poseidon/*.sol contracts hard-code the same constants.
+*/
+
+const poseidonCurves = {
+  // circomlib's parameters:
+  BN254: {
+    modulus: BigInt(
+      '21888242871839275222246405745257275088548364400416034343698204186575808495617',
+    ),
+    fieldSize: 254, // bits
+    exponent: 5, // the smallest alpha for which x^alpha is a permutation of the field
+    fullRounds: 8,
+    partialRounds: 57,
+  },
+  // 128-bit security: the Poseidon paper's round-number formulae give R_P = 37 (including their margin); we add one more partial round:
+  BLS12_377: {
+    modulus: BigInt('8444461749428370424248824938781546531375899335154063827935233455917409239041'),
+    fieldSize: 253, // bits
+    exponent: 11, // the smallest alpha for which x^alpha is a permutation of the field
+    fullRounds: 8,
+    partialRounds: 38,
+  },
+};
+
+const WIDTH = 3; // t
+
+const parameters = {}; // the generated round constants and MDS matrix of each curve, keyed by curve name
+
+/**
+The Grain LFSR, in self-shrinking mode, as specified in Appendix F of the Poseidon paper.
+@returns {function} a function which returns the next pseudo-random bit
+*/
+function grainLFSR({ fieldSize, fullRounds, partialRounds }) {
+  const state = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) state.push((value >> i) & 1); // eslint-disable-line no-bitwise
+  };
+  append(1, 2); // a prime field
+  append(0, 4); // an x^alpha s-box
+  append(fieldSize, 12);
+  append(WIDTH, 12);
+  append(fullRounds, 10);
+  append(partialRounds, 10);
+  append(0x3fffffff, 30);
+
+  const step = () => {
+    // eslint-disable-next-line no-bitwise
+    const bit = state[62] ^ state[51] ^ state[38] ^ state[23] ^ state[13] ^ state[0];
+    state.shift();
+    state.push(bit);
+    return bit;
+  };
+  for (let i = 0; i < 160; i += 1) step(); // discard the first 160 bits
+
+  return () => {
+    // the bits are taken in pairs; the second bit is output only if the first bit is 1:
+    while (step() === 0) step();
+    return step();
+  };
+}
+
+function invert(value, m) {
+  let result = BigInt(1);
+  let base = value % m;
+  let e = m - BigInt(2);
+  while (e > BigInt(0)) {
+    if (e & BigInt(1)) result = (result * base) % m; // eslint-disable-line no-bitwise
+    e >>= BigInt(1); // eslint-disable-line no-bitwise
+    base = (base * base) % m;
+  }
+  return result;
+}
+
+/**
+Generate (once) the round constants and the (Cauchy) MDS matrix of a curve's Poseidon parameters.
+@param {string} curve - a key of poseidonCurves
+@returns {object} { modulus, exponent, fullRounds, partialRounds, roundConstants, mds }
+*/
+function getParameters(curve) {
+  if (parameters[curve]) return parameters[curve];
+  const curveParameters = poseidonCurves[curve];
+  if (!curveParameters) throw new Error(`Poseidon is not implemented for the curve ${curve}`);
+  const { modulus, fieldSize, fullRounds, partialRounds } = curveParameters;
+
+  const nextBit = grainLFSR(curveParameters);
+  const randomElement = () => {
+    let value = BigInt(0);
+    for (let i = 0; i < fieldSize; i += 1) value = (value << BigInt(1)) + BigInt(nextBit()); // eslint-disable-line no-bitwise
+    return value;
+  };
+
+  const roundConstants = [];
+  while (roundConstants.length < (fullRounds + partialRounds) * WIDTH) {
+    const value = randomElement();
+    if (value < modulus) roundConstants.push(value); // rejection sampling
+  }
+
+  let mds;
+  while (!mds) {
+    const elements = Array.from({ length: 2 * WIDTH }, () => randomElement() % modulus);
+    const xs = elements.slice(0, WIDTH);
+    const ys = elements.slice(WIDTH);
+    if (
+      new Set(elements).size === elements.length &&
+      xs.every((x) => ys.every((y) => (x + y) % modulus !== BigInt(0)))
+    ) {
+      mds = xs.map((x) => ys.map((y) => invert(x + y, modulus)));
+    }
+  }
+
+  parameters[curve] = { ...curveParameters, roundConstants, mds };
+  return parameters[curve];
+}
+
+function sbox(x, exponent, m) {
+  let result = BigInt(1);
+  for (let i = 0; i < exponent; i += 1) result = (result * x) % m;
+  return result;
+}
+
+/**
+Hash two field elements with the Poseidon permutation: the state is [0, left, right], and the hash is the state's first element after the permutation (as in circomlib).
+@param {string} curve - a key of poseidonCurves
+@param {BigInt[]} inputs - [left, right] (each is reduced modulo the curve's scalar field)
+@returns {BigInt} the hash
+*/
+function poseidon(curve, inputs) {
+  const { modulus: m, exponent, fullRounds, partialRounds, roundConstants, mds } = getParameters(
+    curve,
+  );
+  if (inputs.length !== WIDTH - 1)
+    throw new Error(`Poseidon (with a width of ${WIDTH}) hashes ${WIDTH - 1} inputs at a time`);
+
+  let state = [BigInt(0), ...inputs.map((input) => input % m)];
+  for (let round = 0; round < fullRounds + partialRounds; round += 1) {
+    state = state.map((element, i) => (element + roundConstants[round * WIDTH + i]) % m);
+    if (round < fullRounds / 2 || round >= fullRounds / 2 + partialRounds) {
+      state = state.map((element) => sbox(element, exponent, m)); // a full round
+    } else {
+      state[0] = sbox(state[0], exponent, m); // a partial round
+    }
+    state = mds.map((row) =>
+      row.reduce((acc, entry, j) => (acc + entry * state[j]) % m, BigInt(0)),
+    );
+  }
+  return state[0];
+}
+
+export default {
+  poseidonCurves,
+  poseidon,
+};
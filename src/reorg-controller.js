@@ -0,0 +1,141 @@
+/**
+@module reorg-controller.js
+@desc Detects chain reorganisations which affect the tree's leaves, and rolls the tree back to the fork point.
+*/
+
+import utilsWeb3 from './utils-web3';
+import utilsMT from './utils-merkle-tree';
+import hasherController from './hasher-controller';
+import logger from './logger';
+
+import { LeafService, NodeService, MetadataService, EventService } from './db/service';
+
+/**
+Find the earliest block, from which the tree's stored leaves are no longer part of the canonical chain.
+We walk backwards through the blocks of the stored leaves (from the latest leaf), comparing each stored blockHash against the blockchain's current block at that height, until we find a block which is still canonical.
+Leaves which were stored without a blockHash cannot be checked, so are presumed to be canonical.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@returns {number} the blockNumber of the fork point; or undefined if the stored leaves are all canonical.
+*/
+async function findForkBlock(db) {
+  logger.debug('src/reorg-controller findForkBlock()');
+
+  const leafService = new LeafService(db);
+
+  let forkBlock;
+  let leaf = await leafService.getLatestLeaf();
+
+  while (leaf && leaf.blockHash) {
+    // eslint-disable-next-line no-await-in-loop
+    const block = await utilsWeb3.getBlock(leaf.blockNumber);
+
+    if (block && block.hash === leaf.blockHash) break; // this block is canonical, and so are all of the blocks before it
+
+    logger.warn(
+      `Block ${leaf.blockNumber} (hash ${leaf.blockHash}) is no longer part of the canonical chain.`,
+    );
+    forkBlock = leaf.blockNumber;
+
+    // eslint-disable-next-line no-await-in-loop
+    leaf = await leafService.getLatestLeafBeforeBlock(leaf.blockNumber);
+  }
+
+  return forkBlock;
+}
+
+/**
+Roll the tree back, by deleting all leaves which were emitted in or after the forkBlock, along with any nodes which were calculated from them. The latestRecalculation metadata (including the frontier) is rolled back, so that the next update recalculates the tree from the last remaining leaf.
+@param {object} db - an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy). This contains permissions to access the merkle tree's databases.
+@param {number} forkBlock - the first block which is no longer part of the canonical chain
+@returns {number} the number of leaves which remain in the tree after the rollback; or undefined if there was nothing to roll back.
+*/
+async function rollbackToBlock(db, forkBlock) {
+  logger.debug(`src/reorg-controller rollbackToBlock(db, forkBlock=${forkBlock})`);
+
+  const leafService = new LeafService(db);
+  const nodeService = new NodeService(db);
+  const metadataService = new MetadataService(db);
+
+  // any pending leaves from the reorganised blocks are simply discarded:
+  await leafService.deletePendingLeavesFromBlock(forkBlock);
+
+  // the event log keeps a record of the reorganised events (any which are still canonical will be re-recorded when they're re-filtered):
+  const eventService = new EventService(db);
+  await eventService.markEventsRemovedFromBlock(forkBlock);
+
+  const firstRemovedLeaf = await leafService.getFirstLeafFromBlock(forkBlock);
+  if (!firstRemovedLeaf) {
+    logger.info(`No leaves were emitted in or after block ${forkBlock}. Nothing to roll back.`);
+    return undefined;
+  }
+
+  const leafCount = firstRemovedLeaf.leafIndex; // the number of leaves which will remain
+  logger.warn(`Rolling the tree back to block ${forkBlock - 1}; i.e. to ${leafCount} leaves...`);
+
+  await leafService.deleteLeavesFromLeafIndex(leafCount);
+
+  const { treeHeight } = await metadataService.getTreeHeight();
+  const { latestRecalculation = {} } = await metadataService.getLatestRecalculation();
+
+  // If the nodes were calculated from any of the deleted leaves, we roll them back to the state they were in before the last remaining leaf was added; so that the next update will recalculate the path from that leaf to the root (including the root itself).
+  if (latestRecalculation.leafIndex !== undefined && latestRecalculation.leafIndex >= leafCount) {
+    let newLatestRecalculation;
+
+    if (leafCount <= 1) {
+      // delete every node above the leaves, and start again:
+      await nodeService.deleteNodesByNodeIndexRanges(
+        utilsMT.getNodeIndexRangesFromLeafIndex(0, treeHeight),
+      );
+      newLatestRecalculation = { frontier: new Array(treeHeight + 1) };
+    } else {
+      const recalculatedLeafCount = leafCount - 1;
+
+      await nodeService.deleteNodesByNodeIndexRanges(
+        utilsMT.getNodeIndexRangesFromLeafIndex(recalculatedLeafCount, treeHeight),
+      );
+
+      // rebuild the frontier from the nodes which remain:
+      const frontierNodeIndices = utilsMT.getFrontierNodeIndices(recalculatedLeafCount, treeHeight);
+      const frontierNodes = await nodeService.getNodesByNodeIndices(
+        frontierNodeIndices.filter((nodeIndex) => nodeIndex !== null),
+      );
+      const hasher = await hasherController.getTreeHasher(db);
+      const frontier = frontierNodeIndices.map((nodeIndex, level) => {
+        if (nodeIndex === null) return null;
+        const node = frontierNodes.find((n) => n.nodeIndex === nodeIndex);
+        return level === 0 ? utilsMT.leafValueToNodeValue(node.value, hasher) : node.value;
+      });
+
+      const latestRecalculatedLeaf = await leafService.getLeafByLeafIndex(
+        recalculatedLeafCount - 1,
+      );
+
+      newLatestRecalculation = {
+        blockNumber: latestRecalculatedLeaf.blockNumber,
+        leafIndex: recalculatedLeafCount - 1,
+        frontier,
+      };
+    }
+
+    await metadataService.updateLatestRecalculation({
+      latestRecalculation: newLatestRecalculation,
+    });
+  }
+
+  // roll back the latestLeaf metadata:
+  const latestLeaf = leafCount > 0 ? await leafService.getLeafByLeafIndex(leafCount - 1) : null;
+  await metadataService.updateLatestLeaf({
+    latestLeaf: latestLeaf
+      ? { blockNumber: latestLeaf.blockNumber, leafIndex: latestLeaf.leafIndex }
+      : {},
+  });
+
+  logger.info(`Rolled the tree back to ${leafCount} leaves.`);
+
+  return leafCount;
+}
+
+export default {
+  findForkBlock,
+  rollbackToBlock,
+};
@@ -0,0 +1,54 @@
+/**
+ * @module dead-letter.routes.js
+ * @desc dead-letter.routes.js gives api endpoints to inspect and replay the events which we failed to ingest into a tree
+ */
+
+import { DeadLetterService } from '../db/service';
+import filterController from '../filter-controller';
+import logger from '../logger';
+
+/**
+ * Get the events which we failed to ingest into the tree, in the order in which they were emitted.
+ * req.query {
+ *  contractName: '...',
+ *  treeId: '...', // optional
+ * }
+ * @param {*} req
+ * @param {*} res
+ */
+async function getDeadLetters(req, res, next) {
+  logger.debug('src/routes/dead-letter.routes getDeadLetters()');
+  try {
+    const deadLetterService = new DeadLetterService(req.user.db);
+    res.data = await deadLetterService.getDeadLetters();
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Replay events which we failed to ingest into the tree (e.g. once the cause of the failure has been fixed).
+ * req.body {
+ *  contractName: '...',
+ *  treeId: '...', // optional
+ *  ids: ['...', '...'], // optional - the _ids of the dead-letter events to replay. If omitted, all of them are replayed.
+ * }
+ * @param {*} req
+ * @param {*} res - returns { replayed, failed }
+ */
+async function replayDeadLetters(req, res, next) {
+  logger.debug('src/routes/dead-letter.routes replayDeadLetters()');
+  try {
+    res.data = await filterController.replayDeadLetters(req.user.db, req.body.ids);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// initializing routes
+export default function (router) {
+  router.get('/dead-letters', getDeadLetters);
+  router.route('/dead-letters/replay').post(replayDeadLetters);
+}
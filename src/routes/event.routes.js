@@ -0,0 +1,77 @@
+/**
+ * @module event.routes.js
+ * @desc event.routes.js gives api endpoints to audit (and replay) the log of events which a tree's filter has seen
+ */
+
+import { EventService } from '../db/service';
+import { EVENT_STATUSES } from '../db/common/constants';
+import filterController from '../filter-controller';
+import utils from '../utils';
+import logger from '../logger';
+
+/**
+ * Get the events which the tree's filter has seen, in the order in which they were emitted.
+ * req.query {
+ *  contractName: '...',
+ *  treeId: '...', // optional
+ *  eventName: 'NewLeaf', // optional
+ *  fromBlock: 60000000, // optional
+ *  toBlock: 60000100, // optional
+ *  status: 'processed', // optional - 'received', 'processed', 'failed' or 'removed'
+ * }
+ * @param {*} req
+ * @param {*} res
+ */
+async function getEvents(req, res, next) {
+  logger.debug('src/routes/event.routes getEvents()');
+  try {
+    const { eventName, status } = req.query;
+    if (status !== undefined && !EVENT_STATUSES.includes(status)) {
+      const err = new Error(
+        `Invalid status '${status}'. Expected one of: ${EVENT_STATUSES.join(', ')}`,
+      );
+      err.status = 400;
+      throw err;
+    }
+    const eventService = new EventService(req.user.db);
+    res.data = await eventService.getEvents({
+      eventName: eventName !== undefined ? String(eventName) : undefined, // (so that e.g. ?eventName[$ne]=.. can't become a query operator)
+      fromBlock: utils.parseBlockNumber(req.query.fromBlock),
+      toBlock: utils.parseBlockNumber(req.query.toBlock),
+      status,
+    });
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Replay the tree's event log into the tree (e.g. to rebuild a fresh tree without re-filtering the blockchain).
+ * req.body {
+ *  contractName: '...',
+ *  treeId: '...', // optional
+ *  fromBlock: 60000000, // optional
+ *  toBlock: 60000100, // optional
+ * }
+ * @param {*} req
+ * @param {*} res - returns { replayed, failed }
+ */
+async function replayEvents(req, res, next) {
+  logger.debug('src/routes/event.routes replayEvents()');
+  try {
+    res.data = await filterController.replayEvents(req.user.db, {
+      fromBlock: utils.parseBlockNumber(req.body.fromBlock),
+      toBlock: utils.parseBlockNumber(req.body.toBlock),
+    });
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// initializing routes
+export default function (router) {
+  router.get('/events', getEvents);
+  router.route('/events/replay').post(replayEvents);
+}
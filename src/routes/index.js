@@ -2,3 +2,6 @@ export { default as leafRoutes } from './leaf.routes';
 export { default as nodeRoutes } from './node.routes';
 export { default as metadataRoutes } from './metadata.routes';
 export { default as merkleTreeRoutes } from './merkle-tree.routes';
+export { default as deadLetterRoutes } from './dead-letter.routes';
+export { default as eventRoutes } from './event.routes';
+export { default as recordRoutes } from './record.routes';
@@ -6,8 +6,27 @@
 
 import { LeafService, MetadataService } from '../db/service';
 import merkleTreeController from '../merkle-tree-controller';
+import utils from '../utils';
 import logger from '../logger';
 
+/**
+ * Parse an (optional) ISO 8601 time from a request.
+ * @param {string} time
+ * @returns {Date} or undefined if no time was given
+ */
+function parseTime(time) {
+  if (time === undefined) return undefined;
+  const date = new Date(time);
+  if (Number.isNaN(date.getTime())) {
+    const err = new Error(
+      `Invalid time '${time}'. Expected an ISO 8601 time, e.g. 2021-01-01T00:00:00Z`,
+    );
+    err.status = 400;
+    throw err;
+  }
+  return date;
+}
+
 /**
  * Add a new leaf to the tree's 'nodes' db.
  * req.body {
@@ -94,6 +113,24 @@ async function getLeafByValue(req, res, next) {
   }
 }
 
+/**
+ * Get the leaves which were emitted by a particular transaction (e.g. to find the leafIndex of a commitment which has just been submitted).
+ * req.params { transactionHash: '0xabc123..' }
+ * req.query { contractName: '...' }
+ * @param {*} req
+ * @param {*} res
+ */
+async function getLeavesByTransactionHash(req, res, next) {
+  logger.debug('src/routes/leaf.routes getLeavesByTransactionHash()');
+  try {
+    const leafService = new LeafService(req.user.db);
+    res.data = await leafService.getLeavesByTransactionHash(req.params.transactionHash);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * Get many leaves from the tree's 'nodes' db.
  * req.body { contractName: '...', leafIndices: [index0, index1, ..., indexn] }
@@ -101,6 +138,12 @@ async function getLeafByValue(req, res, next) {
  * req.body { contractName: '...', values: [value0, value1, ..., valuen] }
  * or
  * req.body { contractName: '...', minIndex: 1234, maxIndex: 5678 }
+ * or, to get the leaves which were emitted within a range of blocks (either bound may be omitted):
+ * req.query { contractName: '...', fromBlock: 60000000, toBlock: 60000100 }
+ * or, to get the leaves whose blocks were mined within a range of times (ISO 8601; either bound may be omitted):
+ * req.query { contractName: '...', since: '2021-01-01T00:00:00Z', until: '2021-01-02T00:00:00Z' }
+ * or, to get the leaves which haven't yet reached the required confirmation depth:
+ * req.query { contractName: '...', status: 'pending' }
  * @param {*} req
  * @param {*} res
  */
@@ -120,6 +163,16 @@ async function getLeaves(req, res, next) {
     const values = req.body.values || req.query.values;
     const minIndex = req.body.minIndex || req.query.minIndex;
     const maxIndex = req.body.maxIndex || req.query.maxIndex;
+    // (block 0 is a valid block, so we can't test these for truthiness)
+    const fromBlock = utils.parseBlockNumber(
+      req.body.fromBlock !== undefined ? req.body.fromBlock : req.query.fromBlock,
+    );
+    const toBlock = utils.parseBlockNumber(
+      req.body.toBlock !== undefined ? req.body.toBlock : req.query.toBlock,
+    );
+    const since = req.body.since || req.query.since;
+    const until = req.body.until || req.query.until;
+    const status = req.body.status || req.query.status;
 
     // not necessarily, not all of these destructurings will be possible
     logger.silly(`leafIndices: ${JSON.stringify(leafIndices, null, 2)}`);
@@ -127,12 +180,18 @@ async function getLeaves(req, res, next) {
     logger.silly(`minIndex: ${minIndex}`);
     logger.silly(`maxIndex: ${maxIndex}`);
 
-    if (leafIndices) {
+    if (status === 'pending') {
+      res.data = await leafService.getPendingLeaves();
+    } else if (leafIndices) {
       res.data = await leafService.getLeavesByLeafIndices(leafIndices);
     } else if (values) {
       res.data = await leafService.getLeavesByValues(values);
     } else if (minIndex || maxIndex) {
       res.data = await leafService.getLeavesByLeafIndexRange(minIndex, maxIndex);
+    } else if (fromBlock !== undefined || toBlock !== undefined) {
+      res.data = await leafService.getLeavesByBlockRange(fromBlock, toBlock);
+    } else if (since || until) {
+      res.data = await leafService.getLeavesByTimeRange(parseTime(since), parseTime(until));
     } else {
       res.data = await leafService.getLeaves();
     }
@@ -232,6 +291,7 @@ export default (router) => {
     .get(getLeaves) // will decide within this function whether we're getting leaves by leafIndices or by a leafIndex range, or all leaves.
     .post(insertLeaves);
 
+  router.get('/leaves/tx/:transactionHash', getLeavesByTransactionHash);
   router.route('/leaves/check').get(checkLeaves);
   router.route('/leaves/count').get(countLeaves);
 };
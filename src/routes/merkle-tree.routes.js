@@ -4,14 +4,11 @@
  * @desc merkle-tree.routes.js gives api endpoints to access the functions of the merkle-tree microservice
  */
 
-import contractController from '../contract-controller';
 import filterController from '../filter-controller';
+import filterRegistry from '../filter-registry';
 import merkleTreeController from '../merkle-tree-controller';
 import logger from '../logger';
 
-const alreadyStarted = {}; // initialises as false
-const alreadyStarting = {}; // initialises as false
-
 /**
  * Updates the entire tree based on the latest-stored leaves.
  * req.user.db (an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy)) is required, to access the user's db from within the merkleTreeController
@@ -21,53 +18,173 @@ const alreadyStarting = {}; // initialises as false
 async function startEventFilter(req, res, next) {
   logger.debug('src/routes/merkle-tree.routes startEventFilter()');
 
-  const { contractName, treeId, contractAddress } = req.body; // contractAddress & treeId are optional parameters. Address can instead be inferred by Timber in many cases.
+  const { contractName, treeId, contractAddress, hashType, curve } = req.body; // contractAddress & treeId are optional parameters. Address can instead be inferred by Timber in many cases. (To track several deployments of the same contract side by side, select the deployment with 'address' (and optionally 'chainId') instead.) hashType & curve are optional: they choose the tree's hasher when the tree is first started (see src/hasher-controller.js).
   const { db } = req.user;
 
-  // TODO: if possible, make this easier to read and follow. Fewer 'if' statements. Perhaps use 'switch' statements instead?
   try {
-    if (alreadyStarted[contractName] && (treeId === undefined || treeId === '')) {
-      res.data = { message: `filter already started for ${contractName}` };
-    } else if (alreadyStarted[(contractName, treeId)]) {
-      res.data = { message: `filter already started for ${contractName}.${treeId}` };
-    } else if (alreadyStarting[contractName] && (treeId === undefined || treeId === '')) {
-      res.data = {
-        message: `filter is already in the process of being started for ${contractName}`,
-      };
-    } else if (alreadyStarting[(contractName, treeId)]) {
-      res.data = {
-        message: `filter is already in the process of being started for ${contractName}.${treeId}`,
-      };
-    } else {
-      if (treeId === undefined || treeId === '') {
-        alreadyStarting[contractName] = true;
-        logger.info(`starting filter for ${contractName}`);
-      } else {
-        alreadyStarting[(contractName, treeId)] = true;
-        logger.info(`starting filter for ${contractName}.${treeId}`);
-      }
-      // get a web3 contractInstance we can work with:
-      const contractInstance = await contractController.instantiateContract(
-        db,
-        contractName,
-        contractAddress,
-      );
+    // start the filter, and record it in the registry (so that it'll be resumed if we restart):
+    const message = await filterRegistry.startFilter(db, contractName, treeId, contractAddress, {
+      hashType,
+      curve,
+    });
 
-      // start an event filter on this contractInstance:
-      const started = await filterController.start(db, contractName, contractInstance, treeId);
-
-      if (treeId === undefined || treeId === '') {
-        alreadyStarted[contractName] = started; // true/false
-        alreadyStarting[contractName] = false;
-      } else {
-        alreadyStarted[(contractName, treeId)] = started; // true/false
-        alreadyStarting[(contractName, treeId)] = false;
-      }
-      res.data = { message: 'filter started' };
-    }
+    res.data = { message };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Stops an event filter, so that it may be started again afresh (e.g. against a newly deployed contract).
+ * req.body {
+ *  contractName: '...',
+ *  treeId: '...', // optional
+ *  address: '0xabc123..', // optional - selects one of several deployments of the contract
+ *  chainId: 1337, // optional
+ * }
+ * @param {*} req
+ * @param {*} res
+ */
+async function stopEventFilter(req, res, next) {
+  logger.debug('src/routes/merkle-tree.routes stopEventFilter()');
+
+  const { contractName, treeId } = req.body;
+  const { db } = req.user;
+
+  try {
+    const stopped = await filterRegistry.stopFilter(contractName, treeId, db.deployment);
+
+    res.data = {
+      message: stopped
+        ? 'filter stopped'
+        : `no filter started for ${filterController.getFilterKey(
+            contractName,
+            treeId,
+            db.deployment,
+          )}`,
+    };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Pauses a running event filter.
+ * req.body {
+ *  contractName: '...',
+ *  treeId: '...', // optional
+ *  address: '0xabc123..', // optional - selects one of several deployments of the contract
+ *  chainId: 1337, // optional
+ * }
+ * @param {*} req
+ * @param {*} res
+ */
+async function pauseEventFilter(req, res, next) {
+  logger.debug('src/routes/merkle-tree.routes pauseEventFilter()');
+
+  const { contractName, treeId } = req.body;
+  const { db } = req.user;
+
+  try {
+    const paused = await filterRegistry.pauseFilter(contractName, treeId, db.deployment);
+
+    res.data = {
+      message: paused
+        ? 'filter paused'
+        : `no running filter for ${filterController.getFilterKey(
+            contractName,
+            treeId,
+            db.deployment,
+          )}`,
+    };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Resumes a paused event filter. Any events which were emitted whilst the filter was paused will be caught up on.
+ * req.body {
+ *  contractName: '...',
+ *  treeId: '...', // optional
+ *  address: '0xabc123..', // optional - selects one of several deployments of the contract
+ *  chainId: 1337, // optional
+ * }
+ * @param {*} req
+ * @param {*} res
+ */
+async function resumeEventFilter(req, res, next) {
+  logger.debug('src/routes/merkle-tree.routes resumeEventFilter()');
+
+  const { contractName, treeId } = req.body;
+  const { db } = req.user;
+
+  try {
+    const resumed = await filterRegistry.resumeFilter(contractName, treeId, db.deployment);
+
+    res.data = {
+      message: resumed
+        ? 'filter resumed'
+        : `no paused filter for ${filterController.getFilterKey(
+            contractName,
+            treeId,
+            db.deployment,
+          )}`,
+    };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Migrates a tree to a new contract (e.g. a redeployed controller which continues the same tree). The tree's previous contract is followed until the block before fromBlock, and the new contract from fromBlock. A running filter is restarted to follow the new contract.
+ * req.body {
+ *  contractName: '...',
+ *  treeId: '...', // optional
+ *  contractAddress: '0xabc123..', // the address of the new contract
+ *  fromBlock: 60000000, // the first block from which to follow the new contract
+ * }
+ * @param {*} req
+ * @param {*} res - returns the tree's contractAddressHistory: [{ contractAddress, fromBlock, toBlock }]
+ */
+async function migrateContract(req, res, next) {
+  logger.debug('src/routes/merkle-tree.routes migrateContract()');
+
+  const { contractName, treeId, contractAddress, fromBlock } = req.body;
+  const { db } = req.user;
+
+  try {
+    const contractAddressHistory = await filterRegistry.migrateFilter(
+      db,
+      contractName,
+      treeId,
+      contractAddress,
+      Number(fromBlock),
+    );
+
+    res.data = { message: 'contract migrated', contractAddressHistory };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Lists every event filter which has been started (and not stopped).
+ * @param {*} req
+ * @param {*} res - returns an array of filters: [{ contractName, treeId, address, chainId, contractAddress, eventNames, latestBlockSeen, state }]
+ */
+async function getEventFilters(req, res, next) {
+  logger.debug('src/routes/merkle-tree.routes getEventFilters()');
+
+  try {
+    res.data = filterController.getFilters();
     next();
   } catch (err) {
-    alreadyStarting[contractName] = false;
     next(err);
   }
 }
@@ -134,6 +251,44 @@ async function getPathByLeafIndex(req, res, next) {
   }
 }
 
+/**
+ * Get a Merkle proof for a given leaf (its siblings' values, from the leaf's level up to the root), in the form which Solidity Merkle libraries verify.
+ * req.user.db (an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy)) is required, to access the user's db from within the merkleTreeController
+ * req.params {
+ *  leafIndex: 1234,
+ * }
+ * @param {*} req
+ * @param {*} res
+ */
+async function getProofByLeafIndex(req, res, next) {
+  logger.debug('src/routes/merkle-tree.routes getProofByLeafIndex()');
+  logger.silly(`req.params: ${JSON.stringify(req.params, null, 2)}`);
+
+  const { db } = req.user;
+  const leafIndex = Number(req.params.leafIndex); // force to number
+
+  try {
+    if (!Number.isInteger(leafIndex) || leafIndex < 0) {
+      const err = new Error(
+        `Invalid leafIndex '${req.params.leafIndex}'. Expected a non-negative integer`,
+      );
+      err.status = 400;
+      throw err;
+    }
+
+    // first update all nodes in the DB to be in line with the latest-known leaf:
+    await merkleTreeController.update(db);
+
+    // get the proof:
+    const proof = await merkleTreeController.getProofByLeafIndex(db, leafIndex);
+
+    res.data = proof;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * Updates the entire tree based on the latest-stored leaves.
  * req.user.db (an instance of mongoose.createConnection (a 'Connection' instance in mongoose terminoligy)) is required, to access the user's db from within the merkleTreeController
@@ -158,9 +313,15 @@ async function update(req, res, next) {
 // initializing routes
 export default function (router) {
   router.route('/start').post(startEventFilter);
+  router.route('/stop').post(stopEventFilter);
+  router.route('/pause').post(pauseEventFilter);
+  router.route('/resume').post(resumeEventFilter);
+  router.route('/migrate').post(migrateContract);
+  router.get('/filters', getEventFilters);
 
   router.route('/update').patch(update);
 
   router.get('/siblingPath/:leafIndex', getSiblingPathByLeafIndex);
   router.get('/path/:leafIndex', getPathByLeafIndex);
+  router.get('/proof/:leafIndex', getProofByLeafIndex);
 }
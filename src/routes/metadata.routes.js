@@ -5,6 +5,7 @@
  */
 
 import { MetadataService } from '../db/service';
+import contractController from '../contract-controller';
 import merkleTreeController from '../merkle-tree-controller';
 
 /**
@@ -146,6 +147,23 @@ async function getContractAddress(req, res, next) {
   }
 }
 
+/**
+ * Get the history of the contracts which have emitted the tree's leaves (a tree can be migrated to a new contract; see POST /migrate).
+ * @param {*} req
+ * @param {*} res - returns { contractAddressHistory: [{ contractAddress, fromBlock, toBlock }] }
+ */
+async function getContractAddressHistory(req, res, next) {
+  try {
+    const { db } = req.user;
+    res.data = {
+      contractAddressHistory: await contractController.getContractAddressHistory(db),
+    };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * Get the contract interface from the tree's 'metadata' db.
  * @param {*} req
@@ -217,6 +235,8 @@ export default function (router) {
 
   router.route('/metadata/contractAddress').get(getContractAddress).post(insertContractAddress);
 
+  router.get('/metadata/contractAddressHistory', getContractAddressHistory);
+
   router
     .route('/metadata/contractInterface')
     .get(getContractInterface)
@@ -0,0 +1,64 @@
+/**
+ * @module record.routes.js
+ * @desc record.routes.js gives api endpoints to query the named collections of 'records' (the params of auxiliary events, such as nullifiers)
+ */
+
+import { RecordService } from '../db/service';
+import filterController from '../filter-controller';
+import logger from '../logger';
+
+/**
+ * Get the records in a named collection, in the order in which their events were emitted.
+ * Any query params (other than contractName, treeId, address and chainId) filter the records; e.g. ?nullifier=0xabc123.. (to check whether a nullifier has been spent). Only the params which the config declares for the collection's 'record' events may be queried, and each is matched as a string (with any hex in lower case).
+ * req.params {
+ *  collection: 'nullifiers', // as named by a 'record' event in the config
+ * }
+ * req.query {
+ *  contractName: '...',
+ *  treeId: '...', // optional
+ *  nullifier: '0xabc123..', // optional - any of the records' params
+ * }
+ * @param {*} req
+ * @param {*} res
+ */
+async function getRecords(req, res, next) {
+  logger.debug('src/routes/record.routes getRecords()');
+  try {
+    const { collection } = req.params;
+    const { contractName, treeId, address, chainId, ...params } = req.query; // (address and chainId select the deployment)
+    if (!filterController.getRecordCollections(contractName, treeId).includes(collection)) {
+      const err = new Error(
+        `No 'record' event of ${contractName} is stored in a '${collection}' collection`,
+      );
+      err.status = 404;
+      throw err;
+    }
+
+    const recordParams = filterController.getRecordParams(contractName, treeId, collection);
+    const query = {};
+    Object.keys(params).forEach((param) => {
+      if (!recordParams.includes(param)) {
+        const err = new Error(
+          `The '${collection}' records can't be queried by '${param}'. Expected one of: ${recordParams.join(
+            ', ',
+          )}`,
+        );
+        err.status = 400;
+        throw err;
+      }
+      // (forced to a string, so that e.g. ?nullifier[$ne]=.. can't become a query operator; and normalised, as the records' params were when they were stored)
+      query[param] = filterController.normaliseRecordValue(String(params[param]));
+    });
+
+    const recordService = new RecordService(req.user.db, collection);
+    res.data = await recordService.getRecords(query);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// initializing routes
+export default function (router) {
+  router.get('/records/:collection', getRecords);
+}
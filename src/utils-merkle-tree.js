@@ -6,8 +6,8 @@
 
 /* eslint-disable no-bitwise */ // bit operations are essential for merkle-tree computations.
 
-import config from 'config';
 import utils from './utils';
+import hashers from './hashers';
 import logger from './logger';
 
 function rightShift(integer, shift) {
@@ -153,10 +153,92 @@ function getFrontierSlot(leafIndex) {
   return slot;
 }
 
+/**
+Calculate the nodeIndices of the frontier of a tree which contains a given number of leaves. At each level, the frontier holds the right-most complete node which is a left-child (see the corresponding Solidity contract for more details).
+@param {integer} leafCount - the number of leaves in the tree
+@param {integer} height - the height of the merkle tree
+@returns {array} the nodeIndex of each level's frontier node (null for levels which don't yet have a frontier node)
+*/
+function getFrontierNodeIndices(leafCount, height) {
+  const frontierNodeIndices = [];
+  for (let level = 0; level <= height; level++) {
+    let position = rightShift(leafCount, level) - 1; // the position (within its row) of the right-most complete node at this level
+    if (position % 2 === 1) position -= 1; // we want a left-child
+    const rowStartIndex = leftShift(1, height - level) - 1;
+    frontierNodeIndices.push(position < 0 ? null : rowStartIndex + position);
+  }
+  return frontierNodeIndices;
+}
+
+/**
+Calculate the ranges of nodeIndices (one range per level, above the leaves) of all nodes whose values depend on the leaves from (and including) a given leafIndex.
+@param {integer} leafIndex
+@param {integer} height - the height of the merkle tree
+@returns {array} an array of [minIndex, maxIndex] pairs (inclusive)
+*/
+function getNodeIndexRangesFromLeafIndex(leafIndex, height) {
+  const nodeIndexRanges = [];
+  for (let level = 1; level <= height; level++) {
+    const rowStartIndex = leftShift(1, height - level) - 1;
+    const rowEndIndex = leftShift(1, height - level + 1) - 2;
+    nodeIndexRanges.push([rowStartIndex + rightShift(leafIndex, level), rowEndIndex]);
+  }
+  return nodeIndexRanges;
+}
+
+/**
+Convert a leaf's value into the value which is used as an input to the first round of hashing up the tree.
+@param {string} leafValue - hex, or a decimal integer string
+@param {object} hasher - (optional) the tree's hasher (see hashers.js)
+@returns {string} the truncated nodeValue
+*/
+function leafValueToNodeValue(leafValue, hasher = hashers.getDefaultHasher()) {
+  let nodeValueFull = leafValue;
+  logger.silly(`nodeValueFull: ${nodeValueFull}, hashlength: ${hasher.nodeHashLength}`);
+  if (!utils.isHex(nodeValueFull)) {
+    nodeValueFull = utils.convertBase(nodeValueFull.toString(), 10, 16);
+    logger.silly(`nodeValueFull: ${nodeValueFull}, hashlength: ${hasher.nodeHashLength}`);
+  }
+  const nodeValue = hasher.truncate(nodeValueFull); // truncate hashed value, so it 'fits' into the next hash.
+  logger.silly(`nodeValue: ${nodeValue})`);
+  return nodeValue;
+}
+
+/**
+Check whether a root which we've calculated matches a root which was emitted by the contract.
+The contract only ever holds the truncated (nodeHashLength-byte) root, which it emits left-aligned in a bytes32 (e.g. a bytes27 root is followed by 5 zero bytes). Our calculated root is the full hash, whose right-most nodeHashLength bytes are the truncated root.
+(Nodes which are wider than 32 bytes (e.g. BW6-761's 48-byte nodes) are emitted as nodeHashLength bytes.)
+@param {string} calculatedRoot - hex
+@param {string} emittedRoot - hex (bytes32, or bytes)
+@param {object} hasher - (optional) the tree's hasher (see hashers.js)
+@returns {boolean}
+*/
+function rootsMatch(calculatedRoot, emittedRoot, hasher = hashers.getDefaultHasher()) {
+  const { nodeHashLength } = hasher;
+  const width = Math.max(32, nodeHashLength) * 2; // in hex characters
+  const truncatedCalculatedRoot = utils
+    .strip0x(calculatedRoot)
+    .padStart(width, '0')
+    .slice(-nodeHashLength * 2);
+  const truncatedEmittedRoot = utils
+    .strip0x(emittedRoot)
+    .padStart(width, '0')
+    .slice(0, nodeHashLength * 2);
+  return truncatedCalculatedRoot.toLowerCase() === truncatedEmittedRoot.toLowerCase();
+}
+
 /**
 A js implementation of the corresponding Solidity function in MerkleTree.sol
+@param {object} hasher - (optional) the tree's hasher (see hashers.js)
 */
-async function updateNodes(leafValues, currentLeafCount, frontier, height, updateNodesFunction) {
+async function updateNodes(
+  leafValues,
+  currentLeafCount,
+  frontier,
+  height,
+  updateNodesFunction,
+  hasher = hashers.getDefaultHasher(),
+) {
   logger.debug(`\nsrc/utils-merkle-tree updateNodes()`);
   const treeWidth = 2 ** height;
   const newFrontier = frontier;
@@ -176,14 +258,7 @@ async function updateNodes(leafValues, currentLeafCount, frontier, height, updat
     leafIndex < currentLeafCount + numberOfLeaves;
     leafIndex++
   ) {
-    nodeValueFull = leafValues[leafIndex - currentLeafCount];
-    logger.silly(`nodeValueFull: ${nodeValueFull}, hashlength: ${config.NODE_HASHLENGTH}`);
-    if (!utils.isHex(nodeValueFull)) {
-      nodeValueFull = utils.convertBase(nodeValueFull.toString(), 10, 16);
-      logger.silly(`nodeValueFull: ${nodeValueFull}, hashlength: ${config.NODE_HASHLENGTH}`);
-    }
-    nodeValue = `0x${nodeValueFull.slice(-config.NODE_HASHLENGTH * 2)}`; // truncate hashed value, so it 'fits' into the next hash.
-    logger.silly(`nodeValue: ${nodeValue})`);
+    nodeValue = leafValueToNodeValue(leafValues[leafIndex - currentLeafCount], hasher);
     nodeIndex = leafIndexToNodeIndex(leafIndex, height); // convert the leafIndex to a nodeIndex
 
     slot = getFrontierSlot(leafIndex); // determine at which level we will next need to store a nodeValue
@@ -208,17 +283,17 @@ async function updateNodes(leafValues, currentLeafCount, frontier, height, updat
         logger.silly(`nodeIndex ${nodeIndex}`);
         logger.silly(`left input ${frontier[level - 1]}`);
         logger.silly(`right input ${nodeValue}`);
-        nodeValueFull = utils.concatenateThenHash(frontier[level - 1], nodeValue); // the parentValue, but will become the nodeValue of the next level
-        nodeValue = `0x${nodeValueFull.slice(-config.NODE_HASHLENGTH * 2)}`; // truncate hashed value, so it 'fits' into the next hash.
+        nodeValueFull = hasher.hash(frontier[level - 1], nodeValue); // the parentValue, but will become the nodeValue of the next level
+        nodeValue = hasher.truncate(nodeValueFull); // truncate hashed value, so it 'fits' into the next hash.
         logger.silly(`output ${nodeValue}`);
       } else {
         // odd nodeIndex
         logger.silly(`leafIndex ${leafIndex}`);
         logger.silly(`nodeIndex ${nodeIndex}`);
         logger.silly(`left input ${nodeValue}`);
-        logger.silly(`right input ${config.ZERO}`);
-        nodeValueFull = utils.concatenateThenHash(nodeValue, config.ZERO); // the parentValue, but will become the nodeValue of the next level
-        nodeValue = `0x${nodeValueFull.slice(-config.NODE_HASHLENGTH * 2)}`; // truncate hashed value, so it 'fits' into the next hash.
+        logger.silly(`right input ${hasher.zero}`);
+        nodeValueFull = hasher.hash(nodeValue, hasher.zero); // the parentValue, but will become the nodeValue of the next level
+        nodeValue = hasher.truncate(nodeValueFull); // truncate hashed value, so it 'fits' into the next hash.
         logger.silly(`output ${nodeValue}`);
       }
       nodeIndex = parentNodeIndex(nodeIndex); // move one row up the tree
@@ -250,16 +325,16 @@ async function updateNodes(leafValues, currentLeafCount, frontier, height, updat
       logger.silly(`nodeIndex, ${nodeIndex}`);
       logger.silly(`left input, ${frontier[level - 1]}`);
       logger.silly(`right input, ${nodeValue}`);
-      nodeValueFull = utils.concatenateThenHash(frontier[level - 1], nodeValue); // the parentValue, but will become the nodeValue of the next level
-      nodeValue = `0x${nodeValueFull.slice(-config.NODE_HASHLENGTH * 2)}`; // truncate hashed value, so it 'fits' into the next hash.
+      nodeValueFull = hasher.hash(frontier[level - 1], nodeValue); // the parentValue, but will become the nodeValue of the next level
+      nodeValue = hasher.truncate(nodeValueFull); // truncate hashed value, so it 'fits' into the next hash.
       logger.silly(`output: ${nodeValue}`);
     } else {
       // odd nodeIndex
       logger.silly(`nodeIndex, ${nodeIndex}`);
       logger.silly(`left input, ${nodeValue}`);
-      logger.silly(`right input, ${config.ZERO}`);
-      nodeValueFull = utils.concatenateThenHash(nodeValue, config.ZERO); // the parentValue, but will become the nodeValue of the next level
-      nodeValue = `0x${nodeValueFull.slice(-config.NODE_HASHLENGTH * 2)}`; // truncate hashed value, so it 'fits' into the next hash.
+      logger.silly(`right input, ${hasher.zero}`);
+      nodeValueFull = hasher.hash(nodeValue, hasher.zero); // the parentValue, but will become the nodeValue of the next level
+      nodeValue = hasher.truncate(nodeValueFull); // truncate hashed value, so it 'fits' into the next hash.
       logger.silly(`output, ${nodeValue}`);
     }
     nodeIndex = parentNodeIndex(nodeIndex); // move one row up the tree
@@ -336,6 +411,10 @@ export default {
   getPathIndices,
   getSiblingPathIndices,
   getFrontierSlot,
+  getFrontierNodeIndices,
+  getNodeIndexRangesFromLeafIndex,
+  leafValueToNodeValue,
+  rootsMatch,
   updateNodes,
   getNumberOfHashes,
   loopNumberOfHashes,
@@ -34,6 +34,47 @@ async function getBlock(blockHashOrBlockNumber, returnTransactionObjects) {
   return block;
 }
 
+/**
+@returns {Number} the chain id of the blockchain we're connected to (EIP-155).
+*/
+async function getChainId() {
+  const chainId = await web3.eth.getChainId();
+  return Number(chainId);
+}
+
+/**
+@returns {String} the hash of the genesis block of the blockchain we're connected to. Together with the chain id, this identifies the chain (e.g. two ganache instances may share a chain id, but not a genesis block).
+*/
+async function getGenesisBlockHash() {
+  const { hash } = await getBlock(0);
+  return hash;
+}
+
+// a cache of block timestamps (keyed by block hash, or by block number if the hash isn't known), so that we only get each block once; e.g. for a burst of leaves from the same block:
+const blockTimestamps = new Map();
+const BLOCK_TIMESTAMP_CACHE_SIZE = 1000;
+
+/**
+Returns the timestamp of a block (cached).
+@param {String|Number} blockHashOrBlockNumber The block number or block hash. Prefer the block hash, because a block number might be reorganised to refer to a different block.
+@returns {Date} the time at which the block was mined
+*/
+async function getBlockTimestamp(blockHashOrBlockNumber) {
+  if (blockTimestamps.has(blockHashOrBlockNumber))
+    return blockTimestamps.get(blockHashOrBlockNumber);
+
+  const block = await getBlock(blockHashOrBlockNumber);
+  if (!block) throw new Error(`Block ${blockHashOrBlockNumber} not found`);
+  const timestamp = new Date(Number(block.timestamp) * 1000);
+
+  blockTimestamps.set(blockHashOrBlockNumber, timestamp);
+  // evict the oldest entry (a Map iterates in insertion order):
+  if (blockTimestamps.size > BLOCK_TIMESTAMP_CACHE_SIZE)
+    blockTimestamps.delete(blockTimestamps.keys().next().value);
+
+  return timestamp;
+}
+
 /**
 Returns a block matching the block number or block hash.
 @param {String|Number} blockHashOrBlockNumber The block number or block hash. Or the string "genesis", "latest" or "pending" as in the default block parameter.
@@ -67,9 +108,6 @@ async function getTransactionFromBlock(hashStringOrNumber, indexNumber) {
 
 // EVENTS!!!
 
-// a list for saving subscribed event instances
-let events = {};
-
 function getContractInterface(contractName) {
   logger.debug(`./src/utils-web3 getContractInterface(${contractName})`);
 
@@ -143,26 +181,6 @@ function getContractBytecode(contractName) {
   return bytecode;
 }
 
-function addNewEvent(eventObject) {
-  const { blockNumber } = eventObject.eventData;
-  const { address } = eventObject.eventData;
-  const eventName = eventObject.eventData.event;
-
-  events[address] = events[address] === undefined ? {} : events[address];
-
-  events[address][eventName] =
-    events[address][eventName] === undefined ? {} : events[address][eventName];
-
-  events[address][eventName][blockNumber] =
-    events[address][eventName][blockNumber] === undefined
-      ? []
-      : events[address][eventName][blockNumber];
-
-  events[address][eventName][blockNumber].push(eventObject);
-
-  return events;
-}
-
 async function subscribeToEvent(
   contractName,
   contractInstance,
@@ -248,16 +266,44 @@ async function subscribeToEvent(
       eventJsonInterface,
     };
 
-    // let's add the eventObject to the list of events:
-    events = addNewEvent(eventObject, events);
+    // (the event is recorded in the tree's 'event' collection as it's ingested)
+    responder(eventObject, responseFunction, responseFunctionArgs);
+  });
 
-    logger.silly(`events: ${JSON.stringify(events, null, 2)}, { depth: null }`);
+  // A 'changed' event is received if an event which we've already received is removed from the blockchain (due to a chain reorganisation). In that case, eventData.removed = true.
+  eventSubscription.on('changed', (eventData) => {
+    logger.warn(
+      `${contractName}, ${eventName}, event in block ${eventData.blockNumber} has been removed from the blockchain by a chain reorganisation`,
+    );
+
+    const eventObject = {
+      eventData,
+      eventJsonInterface,
+    };
 
     responder(eventObject, responseFunction, responseFunctionArgs);
   });
   return eventSubscription;
 }
 
+/**
+Returns the past events of a contract, emitted within a range of blocks.
+@param {object} contractInstance - a web3 contract instance
+@param {string} eventName - the name of the event to get (or 'allEvents')
+@param {Number} fromBlock - the first block to search (inclusive)
+@param {Number} toBlock - the last block to search (inclusive)
+@returns {Array} an array of eventData objects (of the same format as those received by a subscription)
+*/
+async function getPastEvents(contractInstance, eventName, fromBlock, toBlock) {
+  logger.debug(`./src/utils-web3 getPastEvents(${eventName}, ${fromBlock}, ${toBlock})`);
+
+  const pastEvents = await contractInstance.getPastEvents(eventName, { fromBlock, toBlock });
+
+  logger.silly(`pastEvents: ${JSON.stringify(pastEvents, null, 2)}`);
+
+  return pastEvents;
+}
+
 async function unsubscribe(subscription) {
   logger.debug('Unsubscribing...');
   if (!subscription) {
@@ -280,6 +326,9 @@ async function unsubscribe(subscription) {
 export default {
   getBlockNumber,
   getBlock,
+  getChainId,
+  getGenesisBlockHash,
+  getBlockTimestamp,
   getBlockTransactionCount,
   getTransactionFromBlock,
   getContractInterface,
@@ -287,6 +336,7 @@ export default {
   getContractInstance,
   getContractBytecode,
   subscribeToEvent,
+  getPastEvents,
   unsubscribe,
   getDeployedContractTransactionHash,
   getTransactionReceipt,
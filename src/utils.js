@@ -3,25 +3,26 @@
 @author Westlad,Chaitanya-Konda,iAmMichaelConnor
 @desc Set of utilities
 */
-import config from 'config';
 import createKeccakHash from 'keccak';
 import BI from 'big-integer';
 import logger from './logger';
+import poseidon from './poseidon';
 
 const crypto = require('crypto');
 const { Buffer } = require('safe-buffer');
 
-// BW6 not yet implemented
-
+// byteLength is the width of the curve's nodes (BW6-761's scalar field is 377 bits, so its nodes don't fit in 32 bytes):
 const mimcCurves = {
   BLS12_377: {
     exponent: 11,
     rounds: 74,
+    byteLength: 32,
     modulus: BigInt('8444461749428370424248824938781546531375899335154063827935233455917409239041'),
   },
   ALT_BN_254: {
     exponent: 7,
     rounds: 91,
+    byteLength: 32,
     modulus: BigInt(
       '21888242871839275222246405745257275088548364400416034343698204186575808495617',
     ),
@@ -29,6 +30,7 @@ const mimcCurves = {
   BW6_761: {
     exponent: 23,
     rounds: 84,
+    byteLength: 48,
     modulus: BigInt(
       '258664426012969094010652733694893533536393512754914660539884262666720468348340822774968888139573360124440321458177',
     ),
@@ -192,30 +194,15 @@ function concatenate(a, b) {
 }
 
 /**
-Utility function to:
-- convert each item in items to a 'buffer' of bytes (2 hex values), convert those bytes into decimal representation
-- 'concatenate' each decimally-represented byte together into 'concatenated bytes'
-- hash the 'buffer' of 'concatenated bytes' (sha256) (sha256 returns a hex output)
-- truncate the result to the right-most 64 bits
-Return:
-createHash: we're creating a sha256 hash
-update: [input string to hash (an array of bytes (in decimal representaion) [byte, byte, ..., byte] which represents the result of: item1, item2, item3. Note, we're calculating hash(item1, item2, item3) ultimately]
-digest: [output format ("hex" in our case)]
-slice: [begin value] outputs the items in the array on and after the 'begin value'
+base^exponent mod m, for a base which is already reduced mod m, and a small (Number) exponent.
+Square-and-multiply from the exponent's most significant bit, which takes as many multiplications as the contracts' hand-written chains (e.g. 4 for t^7, 5 for t^11, 7 for t^23).
 */
-function addMod(addMe, m) {
-  return addMe.reduce((e, acc) => (e + acc) % m, BigInt(0));
-}
-
 function powerMod(base, exponent, m) {
-  if (m === BigInt(1)) return BigInt(0);
-  let result = BigInt(1);
-  let b = base % m;
-  let e = exponent;
-  while (e > BigInt(0)) {
-    if (e % BigInt(2) === BigInt(1)) result = (result * b) % m;
-    e >>= BigInt(1);
-    b = (b * b) % m;
+  let result = base;
+  // eslint-disable-next-line no-bitwise
+  for (let bit = 30 - Math.clz32(exponent); bit >= 0; bit--) {
+    result = (result * result) % m;
+    if ((exponent >> bit) & 1) result = (result * base) % m; // eslint-disable-line no-bitwise
   }
   return result;
 }
@@ -226,53 +213,81 @@ function keccak256Hash(item) {
   return h;
 }
 
+const mimcRoundConstants = {}; // keyed by curve name
+
+/**
+The round constants of a curve's MiMC: c_1 = keccak256(seed), c_i = keccak256(c_(i-1)), where the seed is keccak256('mimc').
+The contracts re-hash them in every round of every hash; they never change, so we generate them once per curve (reduced mod the curve's modulus, which doesn't change the sums they're added to).
+@param {string} curve - a key of mimcCurves
+@returns {BigInt[]} the round constants
+*/
+function getMimcRoundConstants(curve) {
+  if (mimcRoundConstants[curve]) return mimcRoundConstants[curve];
+  const { rounds, modulus } = mimcCurves[curve];
+  const mimc = '0x6d696d63'; // this is 'mimc' in hex as a nothing-up-my-sleeve seed
+  let c = keccak256Hash(mimc); // seed
+  const roundConstants = [];
+  for (let i = 0; i < rounds; i++) {
+    c = keccak256Hash(c);
+    roundConstants.push(BigInt(c) % modulus);
+  }
+  mimcRoundConstants[curve] = roundConstants;
+  return roundConstants;
+}
+
 /**
 mimc encryption function
-@param  {String} x - the input value
-@param {String} k - the key value
-@param {String} seed - input seed for first round (=0n for a hash)
+@param  {BigInt} x - the input value
+@param {BigInt} k - the key value
+@param {BigInt[]} roundConstants - one per round (see getMimcRoundConstants)
 @param {int} exponent - the exponent
+@param {BigInt} m - the modulus
 */
-function mimcpe(x, k, seed, roundCount, exponent, m) {
+function mimcpe(x, k, roundConstants, exponent, m) {
   let xx = x;
-  let t;
-  let c = seed;
-  for (let i = 0; i < roundCount; i++) {
-    c = keccak256Hash(c);
-    t = addMod([xx, BigInt(c), k], m); // t = x + c_i + k
-    xx = powerMod(t, BigInt(exponent), m); // t^7
+  for (let i = 0; i < roundConstants.length; i++) {
+    xx = powerMod((xx + roundConstants[i] + k) % m, exponent, m); // t = x + c_i + k; x = t^exponent
   }
   // Result adds key again as blinding factor
-  return addMod([xx, k], m);
+  return (xx + k) % m;
 }
 
-function mimcpemp(x, k, seed, roundCount, exponent, m) {
+function mimcpemp(x, k, roundConstants, exponent, m) {
   let r = k;
   let i;
   for (i = 0; i < x.length; i++) {
-    r = (r + (x[i] % m) + mimcpe(x[i], r, seed, roundCount, exponent, m)) % m;
+    r = (r + (x[i] % m) + mimcpe(x[i], r, roundConstants, exponent, m)) % m;
   }
   return r;
 }
 
-function mimcHash(...msgs) {
-  const { rounds, exponent, modulus } = !config.CURVE
-    ? mimcCurves.ALT_BN_254
-    : mimcCurves[config.CURVE];
-  logger.silly(`curve: ${config.CURVE} rounds: ${rounds} exp ${exponent} mod ${modulus}`);
-  const mimc = '0x6d696d63'; // this is 'mimc' in hex as a nothing-up-my-sleeve seed
+function mimcHashWithCurve(curve, ...msgs) {
+  const curveName = curve || 'ALT_BN_254';
+  const { rounds, exponent, modulus, byteLength } = mimcCurves[curveName];
+  logger.silly(`curve: ${curveName} rounds: ${rounds} exp ${exponent} mod ${modulus}`);
   return `0x${mimcpemp(
     msgs.map(BigInt),
     BigInt(0), // k
-    keccak256Hash(mimc), // seed
-    rounds, // rounds of hashing
+    getMimcRoundConstants(curveName), // round constants
     exponent, // exponent
     modulus, // modulus
   )
     .toString(16) // hex string - can remove 0s
-    .padStart(64, '0')}`; // so pad
+    .padStart(byteLength * 2, '0')}`; // so pad
 }
 
+/**
+Utility function to:
+- convert each item in items to a 'buffer' of bytes (2 hex values), convert those bytes into decimal representation
+- 'concatenate' each decimally-represented byte together into 'concatenated bytes'
+- hash the 'buffer' of 'concatenated bytes' (sha256) (sha256 returns a hex output)
+- truncate the result to the right-most 64 bits
+Return:
+createHash: we're creating a sha256 hash
+update: [input string to hash (an array of bytes (in decimal representaion) [byte, byte, ..., byte] which represents the result of: item1, item2, item3. Note, we're calculating hash(item1, item2, item3) ultimately]
+digest: [output format ("hex" in our case)]
+slice: [begin value] outputs the items in the array on and after the 'begin value'
+*/
 function shaHash(...items) {
   const concatvalue = items
     .map((item) => Buffer.from(strip0x(item), 'hex'))
@@ -282,24 +297,52 @@ function shaHash(...items) {
   return h;
 }
 
-function concatenateThenHash(...items) {
-  let h;
-  if (config.HASH_TYPE === 'mimc') {
-    h = mimcHash(...items);
-  } else {
-    h = shaHash(...items);
+/**
+Poseidon hash of a pair of nodes, over the scalar field of a curve ('BN254' or 'BLS12_377').
+*/
+function poseidonHashWithCurve(curve, ...items) {
+  logger.silly(`curve: ${curve}`);
+  return `0x${poseidon
+    .poseidon(curve, items.map(BigInt))
+    .toString(16) // hex string - can remove 0s
+    .padStart(64, '0')}`; // so pad
+}
+
+/**
+keccak256(abi.encodePacked(left, right)) of bytes32 nodes (so each item is left-padded to 32 bytes before they're concatenated).
+*/
+function keccakHash(...items) {
+  const concatvalue = items.map((item) => strip0x(item).padStart(64, '0')).join('');
+  return keccak256Hash(concatvalue);
+}
+
+/**
+Parse a block number from a request (from its query string, or its body), or throw a 400 error if it isn't one.
+@param {*} blockNumber - a number, or a decimal string
+@returns {number} the block number; or undefined if none is given
+*/
+function parseBlockNumber(blockNumber) {
+  if (blockNumber === undefined) return undefined;
+  const number = Number(blockNumber);
+  if (blockNumber === '' || !Number.isInteger(number) || number < 0) {
+    const err = new Error(`Invalid block number '${blockNumber}'. Expected a non-negative integer`);
+    err.status = 400;
+    throw err;
   }
-  return h;
+  return number;
 }
 
 export default {
+  mimcCurves,
   convertBase,
   decToHex,
   ensure0x,
   strip0x,
   isHex,
+  parseBlockNumber,
   concatenate,
-  mimcHash,
+  mimcHashWithCurve,
+  poseidonHashWithCurve,
+  keccakHash,
   shaHash,
-  concatenateThenHash,
 };
@@ -22,7 +22,35 @@ export default {
   connect() {
     if (this.web3) return this.web3;
 
+    if (this.isOffline()) {
+      // no provider at all; web3 is only used for its utilities (e.g. to decode logs):
+      logger.info('Running offline (without a blockchain connection)');
+      this.web3 = new Web3();
+      return this.web3;
+    }
+
     logger.info('Blockchain Connecting ...');
+    this.web3 = new Web3(this.createProvider());
+
+    return this.web3;
+  },
+
+  /**
+   * @return {Boolean} - true if we're configured to run without any blockchain connection (e.g. to import exported logs)
+   */
+  isOffline() {
+    return config.web3.provider === 'offline';
+  },
+
+  /**
+   * Creates a provider. A websocket provider will try to reconnect (with backoff) whenever its connection ends.
+   */
+  createProvider() {
+    if (config.web3.provider === 'http') {
+      // an http provider can't subscribe to events, so the filter will poll for them instead:
+      return new Web3.providers.HttpProvider(this.buildUrl());
+    }
+
     const provider = new Web3.providers.WebsocketProvider(
       this.buildUrl(),
       null,
@@ -30,12 +58,46 @@ export default {
     );
 
     provider.on('error', (err) => logger.error(err));
-    provider.on('connect', () => logger.info('Blockchain Connected ...'));
-    provider.on('end', () => logger.error('Blockchain Disconnected'));
+    provider.on('connect', () => {
+      logger.info('Blockchain Connected ...');
+      if (this.reconnectAttempts === undefined) return; // this is our first connection
+      this.reconnectAttempts = 0;
+      // the old connection's subscriptions died with it, so let the listeners know they can resubscribe:
+      (this.reconnectListeners || []).forEach((listener) => listener());
+    });
+    provider.on('end', () => {
+      logger.error('Blockchain Disconnected');
+      this.reconnect();
+    });
 
-    this.web3 = new Web3(provider);
+    return provider;
+  },
 
-    return this.web3;
+  /**
+   * Reconnects to the blockchain, after an exponentially increasing delay (so that we don't hammer a node which is down).
+   */
+  reconnect() {
+    if (this.reconnectTimeout) return; // we're already waiting to reconnect
+
+    this.reconnectAttempts = this.reconnectAttempts || 0;
+    const { initialDelay, maxDelay } = config.web3.reconnect;
+    const delay = Math.min(initialDelay * 2 ** this.reconnectAttempts, maxDelay);
+    this.reconnectAttempts += 1;
+
+    logger.info(`Blockchain Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}) ...`);
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.web3.setProvider(this.createProvider());
+    }, delay);
+  },
+
+  /**
+   * Registers a function to be called every time we reconnect to the blockchain
+   * @param {function} listener
+   */
+  onReconnect(listener) {
+    this.reconnectListeners = this.reconnectListeners || [];
+    this.reconnectListeners.push(listener);
   },
 
   /**